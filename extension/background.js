@@ -7,8 +7,35 @@ const APP_NAME = 'NiceMed';
 
 let journalData = null;
 let nameIndex = null; // Pre-built name index for O(1) lookup
+let fuzzyIndex = null; // Word key index restricting fuzzy candidates
+let datasetMeta = null; // Dataset years from meta.json
+let journalOverrides = {}; // User corrections: override key -> { issn, query, journal }
+let customLists = []; // Imported journal lists (see options page)
+let tierRules = []; // Compiled tier rules (see rules.js)
 let dataLoaded = false;
 
+// Content script for publisher article pages, registered at runtime for the
+// domains the user allowed (see registerPublisherScripts)
+const PUBLISHER_SCRIPTS = {
+  js: ['content/constants.js', 'content/common.js', 'content/publisher.js'],
+  css: ['styles/badge.css']
+};
+const PUBLISHER_SETTINGS = { publisherSites: [], publisherDeniedSites: [], publisherAllSites: false };
+let publisherRegistration = null;
+let publisherUpdate = Promise.resolve();
+
+// NCBI E-utilities (see DEFAULT_SETTINGS.eutilsBaseUrl). Results are cached in
+// storage.local, oldest first: esummary as [pmid, issn, eissn] entries,
+// esearch title lookups as [title, pmid] entries ("" when not unique)
+const EUTILS_SETTINGS = { eutilsBaseUrl: 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils/', eutilsApiKey: '' };
+const ESUMMARY_BATCH_SIZE = 200;
+const ESUMMARY_CACHE_LIMIT = 5000;
+const ESEARCH_CACHE_LIMIT = 2000;
+let esummaryCache = null; // PMID -> { issn, eissn }, loaded on first use
+let esearchCache = null; // normalized title -> PMID or ""
+const esearchPending = new Map(); // normalized title -> Promise of the running lookup
+let eutilsQueue = Promise.resolve(); // Spaces requests (see fetchEutils)
+
 // Load journal data on startup
 async function loadJournalData() {
   try {
@@ -17,36 +44,39 @@ async function loadJournalData() {
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}`);
     }
-    journalData = await response.json();
-    dataLoaded = true;
-
-    // Build name index for fast lookup
-    nameIndex = new Map();
-    for (const key in journalData) {
-      const journal = journalData[key];
-      if (journal.name) {
-        const normalized = normalizeJournalName(journal.name);
-        if (!nameIndex.has(normalized)) {
-          nameIndex.set(normalized, journal);
-        }
-      }
-      // Also index aliases
-      if (journal.aliases) {
-        for (const alias of journal.aliases) {
-          const normalizedAlias = normalizeJournalName(alias);
-          if (!nameIndex.has(normalizedAlias)) {
-            nameIndex.set(normalizedAlias, journal);
-          }
-        }
+    const data = await response.json();
+
+    // Dataset versions are optional (older builds have no meta.json)
+    let meta = null;
+    try {
+      const metaResponse = await fetch(browser.runtime.getURL("data/meta.json"));
+      if (metaResponse.ok) {
+        meta = await metaResponse.json();
       }
+    } catch (error) {
+      console.warn(`[${APP_NAME}] No dataset meta found:`, error);
     }
 
+    // Prepare everything before publishing it: queries arriving meanwhile see
+    // no data (journalData null) rather than data without its indexes
+    addLatestHistory(data, meta);
+    const names = buildNameIndex(data);
+    const fuzzy = buildFuzzyIndex(data);
+
+    journalData = data;
+    datasetMeta = meta;
+    nameIndex = names;
+    fuzzyIndex = fuzzy;
+    dataLoaded = true;
+
     console.log(
       `[${APP_NAME}] Journal data loaded:`,
       Object.keys(journalData).length,
       "entries,",
       nameIndex.size,
-      "name index entries",
+      "name index entries,",
+      fuzzyIndex.keys.size,
+      "fuzzy index keys",
     );
   } catch (error) {
     console.error(`[${APP_NAME}] Failed to load journal data:`, error);
@@ -54,39 +84,280 @@ async function loadJournalData() {
   }
 }
 
+/**
+ * journals.json stores only the older years in `history`; add the latest
+ * dataset year from the current values so trends and per-year lists see it.
+ * Journals without history (single-year data, new journals) are left alone.
+ */
+function addLatestHistory(data, meta) {
+  if (!meta) return;
+  for (const key in data) {
+    const journal = data[key];
+    if (!journal.history) continue;
+
+    if (meta.casYear && (journal.casQ || journal.isWarning)) {
+      const record = { ...journal.history[meta.casYear] };
+      if (journal.casQ) record.casQ = journal.casQ;
+      if (journal.isWarning) record.isWarning = true;
+      journal.history[meta.casYear] = record;
+    }
+    if (meta.jcrYear && (journal.if || journal.jcrQ)) {
+      const record = { ...journal.history[meta.jcrYear] };
+      if (journal.if) record.if = journal.if;
+      if (journal.jcrQ) record.jcrQ = journal.jcrQ;
+      journal.history[meta.jcrYear] = record;
+    }
+  }
+}
+
+// Load user corrections (query -> journal), custom lists and tier rules from storage.local
+async function loadUserData() {
+  try {
+    const stored = await browser.storage.local.get({ journalOverrides: {}, customLists: [], tierRules: [] });
+    journalOverrides = stored.journalOverrides || {};
+    customLists = stored.customLists || [];
+    tierRules = compileTierRules(stored.tierRules);
+  } catch (error) {
+    console.error(`[${APP_NAME}] Failed to load user data:`, error);
+  }
+}
+
+// Keep user data in sync with edits from the options page (import/clear)
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes.journalOverrides) {
+    journalOverrides = changes.journalOverrides.newValue || {};
+  }
+  if (changes.customLists) {
+    customLists = changes.customLists.newValue || [];
+  }
+  if (changes.tierRules) {
+    tierRules = compileTierRules(changes.tierRules.newValue);
+  }
+});
+
+// Compile stored rules, skipping any that no longer parse
+function compileTierRules(rules) {
+  const compiled = [];
+  for (const rule of rules || []) {
+    try {
+      compiled.push(compileRule(rule));
+    } catch (error) {
+      console.error(`[${APP_NAME}] Skipping invalid tier rule:`, rule, error.message);
+    }
+  }
+  return compiled;
+}
+
+/**
+ * (Re-)register the publisher page script for the allowed domains we hold
+ * host permissions for; denied domains and the built-in sites are excluded
+ */
+async function registerPublisherScripts() {
+  if (publisherRegistration) {
+    await publisherRegistration.unregister();
+    publisherRegistration = null;
+  }
+
+  const settings = await browser.storage.sync.get(PUBLISHER_SETTINGS);
+  const wanted = settings.publisherAllSites
+    ? ['*://*/*']
+    : settings.publisherSites.map(host => `*://${host}/*`);
+
+  const matches = [];
+  for (const pattern of wanted) {
+    if (await browser.permissions.contains({ origins: [pattern] })) matches.push(pattern);
+  }
+  if (matches.length === 0) return;
+
+  const builtIn = browser.runtime.getManifest().content_scripts.flatMap(script => script.matches);
+  publisherRegistration = await browser.contentScripts.register({
+    matches,
+    excludeMatches: [...settings.publisherDeniedSites.map(host => `*://${host}/*`), ...builtIn],
+    js: PUBLISHER_SCRIPTS.js.map(file => ({ file })),
+    css: PUBLISHER_SCRIPTS.css.map(file => ({ file })),
+    runAt: 'document_idle'
+  });
+}
+
+// Serialize registrations so overlapping updates cannot leave two behind
+function updatePublisherScripts() {
+  publisherUpdate = publisherUpdate
+    .then(registerPublisherScripts)
+    .catch(error => console.error(`[${APP_NAME}] Failed to register publisher script:`, error));
+  return publisherUpdate;
+}
+
+/**
+ * Inject the publisher script into an already open tab (after the popup
+ * enabled its domain), so the page need not be reloaded
+ */
+async function injectPublisherScripts(tabId) {
+  for (const file of PUBLISHER_SCRIPTS.css) {
+    await browser.tabs.insertCSS(tabId, { file: `/${file}` });
+  }
+  for (const file of PUBLISHER_SCRIPTS.js) {
+    await browser.tabs.executeScript(tabId, { file: `/${file}` });
+  }
+}
+
+/**
+ * Whether a message comes from one of the extension's own pages (popup,
+ * options) rather than a content script running in a web page
+ */
+function isExtensionPage(sender) {
+  return !sender.tab && !!sender.url && sender.url.startsWith(browser.runtime.getURL(''));
+}
+
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && Object.keys(changes).some(key => key in PUBLISHER_SETTINGS)) {
+    updatePublisherScripts();
+  }
+  // Results from another endpoint (e.g. a local test server) must not linger
+  if (area === 'sync' && changes.eutilsBaseUrl) {
+    esummaryCache = new Map();
+    esearchCache = new Map();
+    browser.storage.local.remove(['esummaryCache', 'esearchCache']);
+  }
+});
+browser.permissions.onAdded.addListener(updatePublisherScripts);
+browser.permissions.onRemoved.addListener(updatePublisherScripts);
+
 // Initialize
-loadJournalData();
+const journalDataLoad = loadJournalData();
+loadUserData();
+updatePublisherScripts();
 
 // Handle messages from content scripts
 browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Still loading: fail instead of answering "not found", content scripts retry
+  if (!dataLoaded && (message.type === "queryJournal" || message.type === "queryJournals")) {
+    return Promise.reject(new Error('Journal data not loaded yet'));
+  }
+
   if (message.type === "queryJournal") {
     const result = queryJournal(message.query);
     return Promise.resolve(result);
   }
 
+  if (message.type === "queryJournals") {
+    const results = (message.queries || []).map(query => queryJournal(query));
+    return Promise.resolve(results);
+  }
+
+  if (message.type === "getJournal") {
+    const match = queryJournal({ issn: message.issn });
+    return Promise.resolve(match ? match.journal : null);
+  }
+
+  if (message.type === "resolvePmids") {
+    return resolvePmids(message.pmids || []);
+  }
+
+  if (message.type === "findPmidByTitle") {
+    return findPmidByTitle(message.title || '');
+  }
+
+  if (message.type === "searchJournals") {
+    return Promise.resolve(searchJournals(message.text, message.limit));
+  }
+
+  if (message.type === "setJournalOverride") {
+    return setJournalOverride(message.query, message.issn);
+  }
+
+  // Sent by the popup for the active tab; content scripts must not pick a tab
+  if (message.type === "injectPublisherScripts") {
+    if (!isExtensionPage(sender)) {
+      return Promise.reject(new Error('injectPublisherScripts is only accepted from extension pages'));
+    }
+    return injectPublisherScripts(message.tabId);
+  }
+
+  // Answered once loading has finished, so the dataset years are known
   if (message.type === "getStatus") {
-    return Promise.resolve({
+    return journalDataLoad.then(() => ({
       dataLoaded,
       entryCount: journalData ? Object.keys(journalData).length : 0,
-    });
+      meta: datasetMeta,
+    }));
   }
 
   return false;
 });
 
+/**
+ * Build the result envelope returned to content scripts
+ * @param {Object|null} journal - Matched journal (null when ambiguous)
+ * @param {string} method - issn, eissn, name, alias, paren-stripped, fuzzy, truncated or ambiguous
+ * @param {number} score - 100 for exact matches, fuzzy/prefix score otherwise
+ * @param {Object} query - Original query
+ * @param {Array} candidates - Runner-up fuzzy candidates ({journal, score})
+ */
+function createMatch(journal, method, score, query, candidates = []) {
+  return {
+    journal,
+    method,
+    score,
+    query: query.name || query.issn || query.eissn || '',
+    candidates: candidates.map(c => ({
+      name: c.journal.name,
+      issn: c.journal.issn || c.journal.eissn || null,
+      score: c.score
+    })),
+    tags: getCustomTags(journal, query),
+    tier: evaluateTier(tierRules, journal)
+  };
+}
+
+/**
+ * Tags from imported custom lists for a journal (one per list)
+ * Lists are keyed by ISSN or normalized name; the query's own ISSN/name count too.
+ * @returns {Array<{list: string, label: string, color: string, tier: string, journal: string}>}
+ */
+function getCustomTags(journal, query) {
+  if (customLists.length === 0) return [];
+
+  const issns = [journal && journal.issn, journal && journal.eissn, query.issn, query.eissn]
+    .filter(Boolean)
+    .map(normalizeISSN);
+  const names = [
+    journal && journal.name,
+    ...((journal && journal.aliases) || []),
+    query.name
+  ].filter(Boolean).map(normalizeJournalName);
+
+  const tags = [];
+  for (const list of customLists) {
+    const entry = issns.map(issn => list.issns && list.issns[issn]).find(Boolean)
+      || names.map(name => list.names && list.names[name]).find(Boolean);
+    if (entry) {
+      tags.push({ list: list.name, label: list.label, color: list.color, tier: entry.tier || '', journal: entry.name || '' });
+    }
+  }
+  return tags;
+}
+
 /**
  * Query journal by various criteria
  * @param {Object} query - Query object with issn, eissn, or name
- * @returns {Object|null} Journal info or null if not found
+ * @returns {Object|null} Match envelope ({journal, method, score, query, candidates})
+ *   or null if not found
  */
 function queryJournal(query) {
   if (!journalData) return null;
 
+  // User corrections win over any automatic matching
+  const override = journalOverrides[getOverrideKey(query)];
+  if (override && journalData[override.issn]) {
+    return createMatch(journalData[override.issn], 'override', 100, query);
+  }
+
   // Try ISSN first
   if (query.issn) {
     const normalized = normalizeISSN(query.issn);
     if (journalData[normalized]) {
-      return journalData[normalized];
+      return createMatch(journalData[normalized], 'issn', 100, query);
     }
   }
 
@@ -94,18 +365,28 @@ function queryJournal(query) {
   if (query.eissn) {
     const normalized = normalizeISSN(query.eissn);
     if (journalData[normalized]) {
-      return journalData[normalized];
+      return createMatch(journalData[normalized], 'eissn', 100, query);
     }
   }
 
-  // Try journal name via pre-built index (O(1) lookup)
-  if (query.name) {
+  // Names cut off by the site only match journals they start
+  if (query.name && isTruncatedName(query.name)) {
+    const prefix = findPrefixMatch(fuzzyIndex, query.name, query.publisher);
+    if (prefix.ambiguous) {
+      return createMatch(null, 'ambiguous', prefix.score, query, prefix.candidates);
+    }
+    if (prefix.journal) {
+      return createMatch(prefix.journal, 'truncated', prefix.score, query, prefix.candidates.slice(1));
+    }
+  } else if (query.name) {
+    // Try journal name via pre-built index (O(1) lookup)
     const normalizedName = normalizeJournalName(query.name);
 
-    // Direct name match via index
+    // Direct name match via index (full name or NLM alias)
     const directMatch = nameIndex.get(normalizedName);
     if (directMatch) {
-      return directMatch;
+      const method = normalizeJournalName(directMatch.name) === normalizedName ? 'name' : 'alias';
+      return createMatch(directMatch, method, 100, query);
     }
 
     // Retry with parentheses info stripped (e.g. "Sensors (Basel)" -> "Sensors")
@@ -117,158 +398,274 @@ function queryJournal(query) {
       const parenMatch = nameIndex.get(normalizedClean);
       if (parenMatch) {
         console.log(`[${APP_NAME}] Match by stripping parens: "${query.name}" -> "${parenMatch.name}"`);
-        return parenMatch;
+        return createMatch(parenMatch, 'paren-stripped', 100, query);
       }
     }
 
     // Fuzzy match / Abbreviation match (Smart Prefix Matching)
-    const queryClean = query.name.toUpperCase().replace(/[^A-Z0-9\s]/g, '');
-    const startChar = queryClean.trim().charAt(0);
-
-    let bestMatch = null;
-    let bestScore = 0;
-
-    // Filter candidates by first letter for performance
-    const candidates = Object.values(journalData).filter(j => {
-      if (!j.name) return false;
-      const jName = j.name.toUpperCase().replace(/[^A-Z0-9\s]/g, '').trim();
-      return jName.charAt(0) === startChar;
-    });
-
-    for (const journal of candidates) {
-      const score = calculateMatchScore(query.name, journal.name);
-      if (score > bestScore) {
-        bestScore = score;
-        bestMatch = journal;
-      }
-    }
+    const fuzzy = findFuzzyMatch(fuzzyIndex, query.name);
 
     // Threshold for acceptance (80 out of 100)
-    if (bestScore >= 80) {
-      console.log(`[${APP_NAME}] Fuzzy match: "${query.name}" -> "${bestMatch.name}" (Score: ${bestScore})`);
-      return bestMatch;
+    if (fuzzy.score >= 80) {
+      console.log(`[${APP_NAME}] Fuzzy match: "${query.name}" -> "${fuzzy.journal.name}" (Score: ${fuzzy.score})`);
+      return createMatch(fuzzy.journal, 'fuzzy', fuzzy.score, query, fuzzy.candidates.slice(1));
     }
   }
 
+  // Journals outside the dataset (e.g. Chinese core journals) may still be in a custom list
+  const tags = getCustomTags(null, query);
+  if (tags.length > 0) {
+    return createMatch({ name: tags[0].journal || query.name }, 'custom', 100, query);
+  }
+
   return null;
 }
 
 /**
- * Calculate similarity score between query (potential abbreviation) and target (full name)
- * Handles "J Biol Chem" matching "Journal of Biological Chemistry"
+ * Key under which a user correction for this query is stored
+ * (normalized journal name, or ISSN for name-less queries)
  */
-function calculateMatchScore(query, target) {
-  if (!query || !target) return 0;
-
-  const qObj = parseName(query);
-  const tObj = parseName(target);
-
-  // If query has more words than target, it's unlikely a match
-  if (qObj.words.length > tObj.words.length) return 0;
-
-  // Check for suspicious truncation (query ending in OF, AND, etc.)
-  // This prevents "Journal of..." matching "Journal of Finance" or "Burns &..." matching "Burns & Trauma"
-  if (qObj.words.length > 0) {
-    const lastQWord = qObj.words[qObj.words.length - 1];
-    const suspiciousEndings = new Set(['OF', 'AND', 'THE', 'A', 'AN', 'IN', 'ON', 'FOR']);
-    if (suspiciousEndings.has(lastQWord)) {
-      return 0;
-    }
+function getOverrideKey(query) {
+  if (query.name) return normalizeJournalName(query.name);
+  return normalizeISSN(query.issn || query.eissn);
+}
+
+/**
+ * Save (or with issn null, remove) a user correction for a query
+ */
+async function setJournalOverride(query, issn) {
+  const key = getOverrideKey(query);
+  if (!key) return false;
+
+  const overrides = { ...journalOverrides };
+  if (issn) {
+    const journal = journalData && journalData[normalizeISSN(issn)];
+    if (!journal) return false;
+    overrides[key] = {
+      issn: normalizeISSN(issn),
+      query: query.name || query.issn || query.eissn,
+      journal: journal.name
+    };
+  } else {
+    delete overrides[key];
   }
 
-  // Check word coverage
-  let matchCount = 0;
-  let qIndex = 0;
-  let tIndex = 0;
-
-  while (qIndex < qObj.words.length && tIndex < tObj.words.length) {
-    const qWord = qObj.words[qIndex];
-    const tWord = tObj.words[tIndex];
-
-    // Check if qWord is a prefix of tWord
-    if (tWord.startsWith(qWord)) {
-      matchCount++;
-      qIndex++;
-      tIndex++;
-    } else if (isSubsequence(qWord, tWord)) {
-      // Allow subsequence match for abbreviations like NATL -> NATIONAL
-      matchCount++;
-      qIndex++;
-      tIndex++;
-    } else {
-      // Try skipping target word
-      tIndex++;
+  journalOverrides = overrides;
+  await browser.storage.local.set({ journalOverrides: overrides });
+  return true;
+}
+
+/**
+ * Search the local dataset by name, abbreviation or ISSN
+ * @param {string} text - Search text
+ * @param {number} limit - Maximum number of results
+ * @returns {Array<Object>} Journal summaries with a relevance score, best first
+ */
+function searchJournals(text, limit = 10) {
+  if (!journalData || !text || !text.trim()) return [];
+
+  // journals.json holds a separate copy per ISSN and eISSN, so key by identity
+  const scores = new Map(); // journal key -> { journal, score }
+
+  const addScore = (journal, score) => {
+    const key = journal.issn || journal.eissn || journal.name;
+    const existing = scores.get(key);
+    if (!existing || score > existing.score) {
+      scores.set(key, { journal, score });
     }
+  };
+
+  // Same exact path as badge lookups (ISSN, name, alias, stripped parentheses)
+  const issn = normalizeISSN(text.trim());
+  const exact = /^\d{4}-\d{3}[\dX]$/.test(issn)
+    ? queryJournal({ issn })
+    : queryJournal({ name: text.trim() });
+  // Custom-list-only results are pseudo-journals without an ISSN: the picker
+  // could not save them as a correction and the popup has no details to show
+  const selectable = exact && exact.journal && (exact.journal.issn || exact.journal.eissn);
+  if (selectable && !['fuzzy', 'truncated', 'override', 'custom'].includes(exact.method)) {
+    addScore(exact.journal, 100);
   }
 
-  // Score calculation
-  const coverage = matchCount / qObj.words.length;
-  let score = coverage * 100;
+  // Name and alias: exact, prefix, then substring
+  const needle = normalizeJournalName(text);
+  if (needle.length >= 2) {
+    for (const journal of fuzzyIndex.journals) {
+      for (const name of [journal.name, ...(journal.aliases || [])]) {
+        const normalized = normalizeJournalName(name);
+        if (normalized === needle) addScore(journal, 100);
+        else if (normalized.startsWith(needle)) addScore(journal, 90);
+        else if (needle.length >= 3 && normalized.includes(needle)) addScore(journal, 75);
+      }
+    }
+  }
 
-  // Tie-breaker: Penalize targets with extra words that were not matched
-  if (score >= 90) {
-    const extraWords = Math.max(0, tObj.words.length - matchCount);
-    score -= Math.min(20, extraWords * 2);
+  // Abbreviation-style fuzzy candidates
+  const fuzzy = findFuzzyMatch(fuzzyIndex, text, limit);
+  for (const candidate of fuzzy.candidates) {
+    addScore(candidate.journal, candidate.score * 0.95);
   }
 
-  return Math.max(0, score);
+  return [...scores.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ journal, score }) => ({
+      name: journal.name,
+      issn: journal.issn || null,
+      eissn: journal.eissn || null,
+      casCategory: journal.casCategory || null,
+      casQ: journal.casQ || null,
+      jcrQ: journal.jcrQ || null,
+      if: journal.if || null,
+      score: Math.round(score)
+    }));
 }
 
 /**
- * Check if s1 is a subsequence of s2 (characters of s1 appear in s2 in order)
- * e.g. NATL in NATIONAL -> true
+ * Fetch JSON from an E-utilities tool ("esummary", "esearch") at the
+ * configured base URL. Requests run one after another, spaced to stay within
+ * NCBI's rate limit (3 per second, 10 with an API key).
  */
-function isSubsequence(s1, s2) {
-  if (s1.length > s2.length) return false;
-  if (s1[0] !== s2[0]) return false; // First char must match for abbreviations
-
-  let i = 0; // index for s1
-  let j = 0; // index for s2
+function fetchEutils(tool, params) {
+  const request = eutilsQueue.then(async () => {
+    const settings = await browser.storage.sync.get(EUTILS_SETTINGS);
+    const base = settings.eutilsBaseUrl.endsWith('/') ? settings.eutilsBaseUrl : `${settings.eutilsBaseUrl}/`;
+    const url = new URL(`${tool}.fcgi`, base);
+    for (const key in params) {
+      url.searchParams.set(key, params[key]);
+    }
+    url.searchParams.set('tool', APP_NAME);
+    if (settings.eutilsApiKey) url.searchParams.set('api_key', settings.eutilsApiKey);
 
-  while (i < s1.length && j < s2.length) {
-    if (s1[i] === s2[j]) {
-      i++;
+    const response = await fetch(url.href);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
     }
-    j++;
+    return { data: await response.json(), interval: settings.eutilsApiKey ? 110 : 350 };
+  });
+
+  eutilsQueue = request
+    .then(({ interval }) => interval, () => 350)
+    .then(interval => new Promise(resolve => setTimeout(resolve, interval)));
+  return request.then(({ data }) => data);
+}
+
+/**
+ * Load a cache stored in storage.local as an array of entries
+ */
+async function loadEutilsCache(key, toEntry) {
+  const stored = await browser.storage.local.get({ [key]: [] });
+  return new Map((stored[key] || []).map(toEntry));
+}
+
+/**
+ * Drop the oldest entries beyond the limit (Map keeps insertion order) and
+ * store the cache as an array of entries
+ */
+async function saveEutilsCache(key, cache, limit, fromEntry) {
+  for (const entryKey of cache.keys()) {
+    if (cache.size <= limit) break;
+    cache.delete(entryKey);
   }
-  return i === s1.length;
+  await browser.storage.local.set({ [key]: [...cache].map(fromEntry) });
 }
 
 /**
- * Parse name into normalized words, ignoring stop words
+ * Exact ISSN/eISSN of PubMed records via esummary, batched and cached.
+ * PMIDs that cannot be resolved (request failed, unknown record) are left out,
+ * so callers fall back to name matching.
+ * @param {string[]} pmids
+ * @returns {Promise<Object<string, {issn: string, eissn: string}>>}
  */
-function parseName(name) {
-  const stopWords = new Set(['THE', 'A', 'AN']);
-  const words = name.toUpperCase()
-    .replace(/&/g, ' AND ') // Convert & to AND explicitly
-    .replace(/[^A-Z0-9\s]/g, ' ') // Replace punctuation with space
-    .split(/\s+/)
-    .filter(w => w.length > 0 && !stopWords.has(w));
+async function resolvePmids(pmids) {
+  if (!esummaryCache) {
+    esummaryCache = await loadEutilsCache('esummaryCache', ([pmid, issn, eissn]) => [pmid, { issn, eissn }]);
+  }
 
-  return { words, original: name };
+  const result = {};
+  const missing = [];
+  for (const pmid of new Set(pmids.map(String).filter(pmid => /^\d+$/.test(pmid)))) {
+    if (esummaryCache.has(pmid)) result[pmid] = esummaryCache.get(pmid);
+    else missing.push(pmid);
+  }
+  if (missing.length === 0) return result;
+
+  let added = false;
+  for (let i = 0; i < missing.length; i += ESUMMARY_BATCH_SIZE) {
+    const batch = missing.slice(i, i + ESUMMARY_BATCH_SIZE);
+    let data;
+    try {
+      data = await fetchEutils('esummary', { db: 'pubmed', retmode: 'json', id: batch.join(',') });
+    } catch (error) {
+      console.warn(`[${APP_NAME}] esummary request failed:`, error);
+      break;
+    }
+    for (const pmid of batch) {
+      const record = data.result && data.result[pmid];
+      if (!record || record.error) continue;
+      const entry = { issn: record.issn || '', eissn: record.essn || '' };
+      if (!entry.issn && !entry.eissn) continue;
+      esummaryCache.set(pmid, entry);
+      result[pmid] = entry;
+      added = true;
+    }
+  }
+
+  if (added) {
+    await saveEutilsCache('esummaryCache', esummaryCache, ESUMMARY_CACHE_LIMIT,
+      ([pmid, { issn, eissn }]) => [pmid, issn, eissn]);
+  }
+  return result;
 }
 
 /**
- * Normalize ISSN format (preserve hyphen to match journals.json keys)
+ * PMID of the one PubMed record with this title, via esearch: first as a
+ * [Title] phrase, then (phrases missing from PubMed's phrase index find
+ * nothing) with every word in [Title]
+ * @returns {Promise<string>} PMID, or "" when there is no unique match or the request failed
  */
-function normalizeISSN(issn) {
-  if (!issn) return "";
-  // Remove spaces, ensure uppercase, preserve hyphen
-  issn = issn.replace(/\s/g, "").toUpperCase();
-  // Add hyphen if missing (8 digits without hyphen)
-  if (issn.length === 8 && !issn.includes('-')) {
-    issn = issn.slice(0, 4) + '-' + issn.slice(4);
-  }
-  return issn;
+async function findPmidByTitle(title) {
+  const words = title
+    .replace(/[\[\]"():;,.?!]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  const key = words.join(' ').toLowerCase();
+  if (words.length < 3) return '';
+
+  if (!esearchCache) {
+    esearchCache = await loadEutilsCache('esearchCache', entry => entry);
+  }
+  if (esearchCache.has(key)) return esearchCache.get(key);
+
+  // The same paper often appears twice on a page (versions, citations)
+  if (!esearchPending.has(key)) {
+    esearchPending.set(key, searchTitle(words, key).finally(() => esearchPending.delete(key)));
+  }
+  return esearchPending.get(key);
 }
 
 /**
- * Normalize journal name for comparison
+ * Run the esearch queries for findPmidByTitle and cache the answer
  */
-function normalizeJournalName(name) {
-  if (!name) return "";
-  return name
-    .toUpperCase()
-    .replace(/[^A-Z0-9]/g, "")
-    .trim();
+async function searchTitle(words, key) {
+  const terms = [
+    `"${words.join(' ')}"[Title]`,
+    words.map(word => `${word}[Title]`).join(' AND ')
+  ];
+  let pmid = '';
+  try {
+    for (const term of terms) {
+      const data = await fetchEutils('esearch', { db: 'pubmed', retmode: 'json', retmax: 2, term });
+      const count = Number(data.esearchresult && data.esearchresult.count);
+      if (count === 1) pmid = data.esearchresult.idlist[0];
+      if (count > 0) break;
+    }
+  } catch (error) {
+    console.warn(`[${APP_NAME}] esearch request failed:`, error);
+    return '';
+  }
+
+  esearchCache.set(key, pmid);
+  await saveEutilsCache('esearchCache', esearchCache, ESEARCH_CACHE_LIMIT, entry => entry);
+  return pmid;
 }
@@ -0,0 +1,324 @@
+/**
+ * NiceMed - Citation Copy
+ * Copy menu for titles and formatted references (GB/T 7714-2015, APA,
+ * Vancouver), optionally followed by journal metrics like "[IF=12.3, 中科院1区]".
+ * Records have the shape produced by the sites' extract() functions.
+ */
+
+Object.assign(NiceMed, {
+  CITATION_FORMATS: {
+    title: { label: '标题' },
+    gbt: { label: 'GB/T 7714-2015' },
+    apa: { label: 'APA' },
+    vancouver: { label: 'Vancouver' }
+  },
+
+  COPY_BTN_ATTR: 'data-nicemed-copy-added',
+
+  CLIPBOARD_SVG: '<svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor"><path d="M4 2a2 2 0 0 1 2-2h8a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V2zm2-1a1 1 0 0 0-1 1v8a1 1 0 0 0 1 1h8a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1H6zM2 5a1 1 0 0 0-1 1v8a1 1 0 0 0 1 1h8a1 1 0 0 0 1-1v-1h1v1a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h1v1H2z"/></svg>',
+  CHECK_SVG: '<svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor"><path d="M13.78 4.22a.75.75 0 0 1 0 1.06l-7.25 7.25a.75.75 0 0 1-1.06 0L2.22 9.28a.75.75 0 1 1 1.06-1.06L6 10.94l6.72-6.72a.75.75 0 0 1 1.06 0z"/></svg>',
+
+  /**
+   * Add the copy menu (title / citation) in front of a title element, once
+   * @param {Function} getRecords - See createCopyMenu
+   */
+  addCopyButton(titleElement, getRecords) {
+    if (!titleElement || titleElement.hasAttribute(this.COPY_BTN_ATTR)) return;
+    if (!titleElement.textContent.trim()) return;
+
+    titleElement.insertBefore(this.createCopyMenu(getRecords), titleElement.firstChild);
+    titleElement.setAttribute(this.COPY_BTN_ATTR, 'true');
+  },
+
+  /**
+   * Bibliographic record of an article page from its citation_* meta tags
+   * (fields the page does not provide are empty)
+   */
+  getMetaRecord() {
+    const meta = (...names) => this.readMeta(...names)[0] || '';
+
+    let authors = this.readMeta('citation_author');
+    if (authors.length === 0) {
+      authors = meta('citation_authors').split(';').map(a => a.trim()).filter(Boolean);
+    }
+    const year = meta('citation_publication_date', 'citation_date').match(/\b(19|20)\d{2}\b/);
+    const firstPage = meta('citation_firstpage');
+    const lastPage = meta('citation_lastpage');
+
+    return {
+      title: meta('citation_title'),
+      authors,
+      journal: meta('citation_journal_abbrev', 'citation_journal_title'),
+      year: year ? year[0] : '',
+      volume: meta('citation_volume'),
+      issue: meta('citation_issue'),
+      pages: firstPage ? [firstPage, lastPage].filter(Boolean).join('-') : '',
+      doi: meta('citation_doi'),
+      pmid: meta('citation_pmid'),
+      url: location.href
+    };
+  },
+
+  /**
+   * Copy button opening the citation menu
+   * @param {Function} getRecords - Returns the records to copy when a format is chosen
+   */
+  createCopyMenu(getRecords) {
+    const btn = document.createElement('span');
+    btn.className = `${this.CONSTANTS.BADGE_CLASS_PREFIX}copy-btn`;
+    btn.title = '复制标题或引用';
+    btn.innerHTML = this.CLIPBOARD_SVG;
+
+    // The button sits inside result links: prevent any navigation
+    btn.onmousedown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+    };
+
+    btn.onclick = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+      this.openCopyMenu(btn, async (format) => {
+        if (await this.copyRecords(getRecords(), format)) this.showCopySuccess(btn);
+      });
+      return false;
+    };
+    return btn;
+  },
+
+  /**
+   * Copy menu for the result toolbar: copies the selected results,
+   * or every visible result when none is selected
+   */
+  createCopyControl() {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = '复制引用…';
+    btn.title = '复制选中的结果；未选中时复制当前显示的全部结果';
+    btn.addEventListener('click', () => {
+      this.openCopyMenu(btn, async (format) => {
+        const selected = this.getSelectedRecords();
+        const records = selected.length > 0 ? selected : this.getVisibleRecords();
+        if (await this.copyRecords(records, format)) {
+          btn.textContent = `已复制 ${records.length} 条`;
+          setTimeout(() => {
+            btn.textContent = '复制引用…';
+          }, 1500);
+        }
+      });
+    });
+    return btn;
+  },
+
+  /**
+   * Show the format menu below an anchor element
+   * @param {Function} onSelect - Called with the chosen CITATION_FORMATS key
+   */
+  openCopyMenu(anchor, onSelect) {
+    this.closeCopyMenu();
+    const prefix = this.CONSTANTS.BADGE_CLASS_PREFIX;
+    const menu = document.createElement('div');
+    menu.className = `${prefix}copy-menu`;
+
+    for (const key in this.CITATION_FORMATS) {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.textContent = key === 'title' ? '复制标题' : `复制 ${this.CITATION_FORMATS[key].label}`;
+      item.addEventListener('click', () => {
+        this.closeCopyMenu();
+        onSelect(key);
+      });
+      menu.appendChild(item);
+    }
+
+    const metricsLabel = document.createElement('label');
+    const metrics = document.createElement('input');
+    metrics.type = 'checkbox';
+    metrics.checked = !!this.settings.citationWithMetrics;
+    metrics.addEventListener('change', () => {
+      this.settings.citationWithMetrics = metrics.checked;
+      browser.storage.sync.set({ citationWithMetrics: metrics.checked });
+    });
+    metricsLabel.appendChild(metrics);
+    metricsLabel.appendChild(document.createTextNode(' 引用后附 [IF, 分区]'));
+    menu.appendChild(metricsLabel);
+
+    const rect = anchor.getBoundingClientRect();
+    menu.style.top = `${rect.bottom + 4}px`;
+    menu.style.left = `${rect.left}px`;
+    document.body.appendChild(menu);
+    this._copyMenu = menu;
+
+    // Close on outside click or Escape
+    this._copyMenuClose = (e) => {
+      if (e.type === 'keydown' ? e.key === 'Escape' : !menu.contains(e.target)) this.closeCopyMenu();
+    };
+    setTimeout(() => {
+      document.addEventListener('mousedown', this._copyMenuClose, true);
+      document.addEventListener('keydown', this._copyMenuClose, true);
+      window.addEventListener('scroll', this._copyMenuClose, true);
+    }, 0);
+  },
+
+  closeCopyMenu() {
+    if (!this._copyMenu) return;
+    this._copyMenu.remove();
+    this._copyMenu = null;
+    document.removeEventListener('mousedown', this._copyMenuClose, true);
+    document.removeEventListener('keydown', this._copyMenuClose, true);
+    window.removeEventListener('scroll', this._copyMenuClose, true);
+  },
+
+  /**
+   * Briefly show a checkmark on a copy button
+   */
+  showCopySuccess(btn) {
+    const successClass = `${this.CONSTANTS.BADGE_CLASS_PREFIX}copy-success`;
+    btn.innerHTML = this.CHECK_SVG;
+    btn.classList.add(successClass);
+    setTimeout(() => {
+      btn.innerHTML = this.CLIPBOARD_SVG;
+      btn.classList.remove(successClass);
+    }, 1500);
+  },
+
+  /**
+   * Copy records in a format; several records become a numbered list
+   * @returns {Promise<boolean>} Whether the clipboard was written
+   */
+  async copyRecords(records, format) {
+    if (!records || records.length === 0) return false;
+    const lines = records.map(record => this.formatCitation(record, format));
+    let text = lines[0];
+    if (lines.length > 1) {
+      if (format === 'gbt') text = lines.map((line, i) => `[${i + 1}] ${line}`).join('\n');
+      else if (format === 'vancouver') text = lines.map((line, i) => `${i + 1}. ${line}`).join('\n');
+      else text = lines.join('\n');
+    }
+
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (error) {
+      this.log('Copy failed:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Format one record; citations get the metrics suffix when enabled
+   */
+  formatCitation(record, format) {
+    const title = (record.title || '').replace(/\.\s*$/, '').trim();
+    if (format === 'title') return title;
+
+    let text;
+    if (format === 'gbt') text = this.formatGBT(record, title);
+    else if (format === 'apa') text = this.formatAPA(record, title);
+    else text = this.formatVancouver(record, title);
+
+    if (this.settings.citationWithMetrics) {
+      const metrics = this.formatMetricsNote(record.match && record.match.journal);
+      if (metrics) text += ` ${metrics}`;
+    }
+    return text;
+  },
+
+  /**
+   * Metrics in the usual thesis style, e.g. "[IF=12.3, 中科院1区]"
+   * (JCR quartile when the journal has no CAS partition)
+   */
+  formatMetricsNote(journal) {
+    if (!journal) return '';
+    const parts = [];
+    if (journal.if) parts.push(`IF=${journal.if.toFixed(1)}`);
+    if (journal.casQ) parts.push(`中科院${journal.casQ}区`);
+    else if (journal.jcrQ) parts.push(`JCR ${journal.jcrQ}`);
+    return parts.length > 0 ? `[${parts.join(', ')}]` : '';
+  },
+
+  /**
+   * Terminate a title with a period unless it already ends with ?, ! or .
+   */
+  endSentence(text) {
+    return /[?!.]$/.test(text) ? text : `${text}.`;
+  },
+
+  /**
+   * "577(7788)" style volume/issue
+   */
+  formatVolumeIssue(record) {
+    return `${record.volume || ''}${record.issue ? `(${record.issue})` : ''}`;
+  },
+
+  /**
+   * GB/T 7714-2015: SMITH J A, DOE B, LEE C, et al. Title[J]. Journal, 2020, 577(7788): 123-128. DOI:10.xxx.
+   */
+  formatGBT(record, title) {
+    const authors = (record.authors || []).map(author => {
+      const { family, initials } = this.parseAuthorName(author);
+      return [family.toUpperCase(), ...initials.split('')].join(' ');
+    });
+    const authorText = authors.length > 3 ? `${authors.slice(0, 3).join(', ')}, et al` : authors.join(', ');
+
+    // Journal, year and volume are each optional; pages follow whatever is present
+    let source = [record.journal, record.year, this.formatVolumeIssue(record)].filter(Boolean).join(', ');
+    if (record.pages) source += source ? `: ${record.pages}` : record.pages;
+
+    let text = `${authorText ? `${authorText}. ` : ''}${title}[J]${source ? `. ${source}` : ''}.`;
+    if (record.doi) text += ` DOI:${record.doi}.`;
+    return text;
+  },
+
+  /**
+   * APA 7: Smith, J. A., Doe, B., & Lee, C. (2020). Title. Journal, 577(7788), 123–128. https://doi.org/10.xxx
+   */
+  formatAPA(record, title) {
+    const authors = (record.authors || []).map(author => {
+      const { family, initials } = this.parseAuthorName(author);
+      return initials ? `${family}, ${initials.split('').map(c => `${c}.`).join(' ')}` : family;
+    });
+
+    // Up to 20 authors; beyond that the first 19, an ellipsis and the last
+    let authorText;
+    if (authors.length > 20) {
+      authorText = `${authors.slice(0, 19).join(', ')}, . . . ${authors[authors.length - 1]}`;
+    } else if (authors.length > 1) {
+      authorText = `${authors.slice(0, -1).join(', ')}, & ${authors[authors.length - 1]}`;
+    } else {
+      authorText = authors[0] || '';
+    }
+    let text = `${authorText ? `${authorText} ` : ''}(${record.year || 'n.d.'}). ${this.endSentence(title)}`;
+    let source = record.journal || '';
+    const volumeIssue = this.formatVolumeIssue(record);
+    if (volumeIssue) source += `, ${volumeIssue}`;
+    if (record.pages) source += `, ${record.pages.replace('-', '–')}`;
+    if (source) text += ` ${source}.`;
+    if (record.doi) text += ` https://doi.org/${record.doi}`;
+    return text;
+  },
+
+  /**
+   * Vancouver (NLM): Smith JA, Doe B, Lee C, et al. Title. Journal. 2020;577(7788):123-128.
+   */
+  formatVancouver(record, title) {
+    const authors = (record.authors || []).map(author => {
+      const { family, initials } = this.parseAuthorName(author);
+      return initials ? `${family} ${initials}` : family;
+    });
+    const authorText = authors.length > 6 ? `${authors.slice(0, 6).join(', ')}, et al` : authors.join(', ');
+
+    // "Journal." and "2020;577(7788):123-128." are each written only when present
+    let date = record.year || '';
+    const volumeIssue = this.formatVolumeIssue(record);
+    if (volumeIssue) date += date ? `;${volumeIssue}` : volumeIssue;
+    if (record.pages) date += date ? `:${record.pages}` : record.pages;
+    const source = [record.journal && `${record.journal}.`, date && `${date}.`].filter(Boolean).join(' ');
+
+    let text = `${authorText ? `${authorText}. ` : ''}${this.endSentence(title)}${source ? ` ${source}` : ''}`;
+    if (record.doi) text += ` doi:${record.doi}`;
+    return text;
+  }
+});
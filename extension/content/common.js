@@ -9,6 +9,23 @@ const NiceMed = {
   // Per-page query cache to avoid redundant IPC calls
   _cache: new Map(),
 
+  // Rendered lookups for re-rendering: element -> { query, insertPosition, container, match }
+  _rendered: new Map(),
+
+  // Items whose lookup failed (background error), retried on a backoff timer
+  _retryItems: [],
+  _retryTimer: null,
+  _retryAttempt: 0,
+
+  // Delays between retries of failed lookups; after the last one they render as not found
+  RETRY_DELAYS: [2000, 5000, 15000, 30000, 60000],
+
+  // Current user settings (defaults until loadSettings() resolves)
+  settings: { ...NiceMedConstants.DEFAULT_SETTINGS },
+
+  // Latest dataset years from meta.json ({cas, jcr}), labels for current values
+  datasetYears: {},
+
   /**
    * Log message with prefix
    */
@@ -16,15 +33,102 @@ const NiceMed = {
     console.log(`[${this.CONSTANTS.APP_NAME}]`, ...args);
   },
 
+  /**
+   * Load user settings from storage.sync and keep them in sync with changes
+   */
+  async loadSettings() {
+    try {
+      const stored = await browser.storage.sync.get(this.CONSTANTS.DEFAULT_SETTINGS);
+      this.settings = { ...this.CONSTANTS.DEFAULT_SETTINGS, ...stored };
+    } catch (error) {
+      this.log('Failed to load settings:', error);
+    }
+
+    browser.storage.onChanged.addListener((changes, area) => {
+      // Corrections, custom lists or tier rules changed in the options page: look everything up again
+      if (area === 'local' && (changes.journalOverrides || changes.customLists || changes.tierRules)) {
+        this.refreshAll();
+        return;
+      }
+      if (area !== 'sync') return;
+      let changed = false;
+      for (const key in changes) {
+        if (key in this.CONSTANTS.DEFAULT_SETTINGS) {
+          const value = changes[key].newValue;
+          this.settings[key] = value === undefined ? this.CONSTANTS.DEFAULT_SETTINGS[key] : value;
+          changed = true;
+        }
+      }
+      if (changed) {
+        this.applyPageSettings();
+        this.rerenderAll();
+      }
+    });
+  },
+
+  /**
+   * Load the dataset years; journals only carry history for multi-year builds,
+   * so these label the current IF and warning status otherwise
+   */
+  async loadDatasetYears() {
+    try {
+      const status = await browser.runtime.sendMessage({ type: 'getStatus' });
+      const meta = (status && status.meta) || {};
+      this.datasetYears = { cas: meta.casYear || null, jcr: meta.jcrYear || null };
+    } catch (error) {
+      this.log('Failed to load dataset years:', error);
+    }
+  },
+
+  /**
+   * Register the current site ("pubmed", "scholar", ...) for per-site settings
+   */
+  setSite(site) {
+    this.site = site;
+    this.ready.then(() => this.applyPageSettings());
+  },
+
+  /**
+   * Toggle per-site features via classes on <html>, so changes apply live
+   */
+  applyPageSettings() {
+    if (!this.site || typeof document === 'undefined') return;
+    const prefix = this.CONSTANTS.BADGE_CLASS_PREFIX;
+    const root = document.documentElement;
+    const settings = this.settings;
+
+    root.classList.toggle(`${prefix}site-disabled`, (settings.disabledSites || []).includes(this.site));
+    root.classList.toggle(`${prefix}hide-copy`, (settings.hiddenCopyButtonSites || []).includes(this.site));
+    root.classList.toggle(`${prefix}hide-pubmed-btn`, !settings.scholarPubmedButton);
+  },
+
+  /**
+   * Rebuild every rendered badge container from its stored match (after settings change)
+   */
+  rerenderAll() {
+    for (const [element, record] of this._rendered) {
+      if (!element.isConnected) {
+        this._rendered.delete(element);
+        continue;
+      }
+      if (record.container) record.container.remove();
+      this.renderMatch(element, record.match, record.insertPosition, record.query);
+    }
+    this.updateResults();
+  },
+
   /**
    * Build cache key from query object
    */
   _cacheKey(query) {
-    return (query.issn || '') + '|' + (query.eissn || '') + '|' + (query.name || '').toUpperCase();
+    return (query.issn || '') + '|' + (query.eissn || '') + '|' + (query.name || '').toUpperCase() +
+      (query.publisher ? '|' + query.publisher.toUpperCase() : '');
   },
 
   /**
    * Query journal info from background script (with cache)
+   * @returns {Promise<Object|null|undefined>} Match envelope ({journal, method, score, query, candidates}),
+   *   null if not found, undefined if the lookup failed (not cached)
    */
   async queryJournal(query) {
     const key = this._cacheKey(query);
@@ -41,10 +145,46 @@ const NiceMed = {
       return result;
     } catch (error) {
       this.log('Query failed:', error);
-      return null;
+      return undefined;
     }
   },
 
+  /**
+   * Query many journals in one round trip (with cache)
+   * @param {Object[]} queries
+   * @returns {Promise<Array<Object|null|undefined>>} Match envelopes in query
+   *   order; undefined where the lookup failed (nothing is cached for those)
+   */
+  async queryJournals(queries) {
+    const keys = queries.map(query => this._cacheKey(query));
+
+    // Only send uncached queries, each unique key once
+    const missing = [];
+    const missingKeys = new Set();
+    queries.forEach((query, i) => {
+      if (!this._cache.has(keys[i]) && !missingKeys.has(keys[i])) {
+        missingKeys.add(keys[i]);
+        missing.push(query);
+      }
+    });
+
+    if (missing.length > 0) {
+      try {
+        const results = await browser.runtime.sendMessage({
+          type: 'queryJournals',
+          queries: missing
+        });
+        missing.forEach((query, i) => {
+          this._cache.set(this._cacheKey(query), results[i]);
+        });
+      } catch (error) {
+        this.log('Batch query failed:', error);
+      }
+    }
+
+    return keys.map(key => this._cache.get(key));
+  },
+
   /**
    * Create a badge element
    */
@@ -58,10 +198,33 @@ const NiceMed = {
     return badge;
   },
 
+  /**
+   * Check whether a match envelope identifies the journal exactly
+   */
+  isExactMatch(match) {
+    return !match || this.CONSTANTS.EXACT_MATCH_METHODS.includes(match.method);
+  },
+
+  /**
+   * Tooltip for the name badge of an approximate match
+   */
+  getApproxTooltip(match) {
+    let tooltip = `近似匹配 (${match.method}, 匹配度 ${Math.round(match.score)})\n原始名称: ${match.query}`;
+    if (match.candidates && match.candidates.length > 0) {
+      tooltip += '\n其他候选:';
+      for (const c of match.candidates) {
+        tooltip += `\n  ${c.name} (${Math.round(c.score)})`;
+      }
+    }
+    return tooltip;
+  },
+
   /**
    * Create container for badges
+   * @param {Object} journal - Journal record
+   * @param {Object} [match] - Match envelope from queryJournal (marks approximate matches)
    */
-  createBadgeContainer(journal) {
+  createBadgeContainer(journal, match = null) {
     const container = document.createElement('div');
     container.className = `${this.CONSTANTS.BADGE_CLASS_PREFIX}badge-container`;
     container.setAttribute(this.CONSTANTS.ATTR_CONTAINER, 'true');
@@ -71,69 +234,269 @@ const NiceMed = {
       return null;
     }
 
-    // Badge 1: Journal Name (formatted)
+    const compact = this.settings.labelStyle === 'compact';
+    const badges = {}; // badge key -> element, appended in the user's order below
+
+    // Journal Name (formatted, "≈" for approximate matches; compact uses the NLM abbreviation)
     if (journal.name) {
-      const displayName = this.getDisplayName(journal.name);
-      const nameBadge = this.createBadge(
-        this.toTitleCase(displayName),
-        'name',
-        '期刊名'
+      let displayName = this.toTitleCase(this.getDisplayName(journal.name));
+      if (compact && journal.aliases && journal.aliases.length > 0) {
+        displayName = journal.aliases[0];
+      }
+      const nameBadge = this.isExactMatch(match)
+        ? this.createBadge(displayName, 'name', compact ? journal.name : '期刊名')
+        : this.createBadge(`≈ ${displayName}`, 'name', this.getApproxTooltip(match));
+      if (!this.isExactMatch(match)) {
+        nameBadge.classList.add(`${this.CONSTANTS.BADGE_CLASS_PREFIX}badge-approx`);
+      }
+      badges.name = nameBadge;
+    }
+
+    // Tier from the user's rules (see rules.js)
+    if (match && match.tier) {
+      badges.tier = this.createBadge(
+        compact ? match.tier.tier : `等级 ${match.tier.tier}`,
+        'tier',
+        `规则: ${match.tier.rule}`
       );
-      container.appendChild(nameBadge);
     }
 
-    // Badge 2: JCR Quartile
+    // JCR Quartile
     if (journal.jcrQ) {
       const q = journal.jcrQ;
       let type = 'jcr-q4';
       if (q === 'Q1') type = 'jcr-q1';
       else if (q === 'Q2') type = 'jcr-q2';
       else if (q === 'Q3') type = 'jcr-q3';
-      container.appendChild(this.createBadge(`JCR ${q}`, type, 'JCR分区'));
+      const tooltip = this.getJcrTooltip(journal) + this.formatHistoryLine(journal, 'jcrQ', q => q);
+      const best = (journal.jcrCats || []).find(c => c.rank);
+      const text = best ? `JCR ${q} · ${this.getJcrCategoryLabel(best.cat)}` : `JCR ${q}`;
+      badges.jcr = this.createBadge(compact ? q : text, type, tooltip);
     }
 
-    // Badge 3: CAS Quartile and Rank
+    // CAS Quartile and Rank (preferred subcategory replaces 大类 if present)
     if (journal.casQ) {
-      const q = journal.casQ;
+      const preferred = this.getPreferredSubcategory(journal);
+      const q = preferred ? preferred.q : journal.casQ;
       let type = 'cas-4';
       if (q === 1) type = 'cas-1';
       else if (q === 2) type = 'cas-2';
       else if (q === 3) type = 'cas-3';
-      const category = journal.casCategory || '综合';
-      const tooltip = `中科院分区大类和排名: ${journal.casRank || ''}`;
-      container.appendChild(this.createBadge(`${category}${q}区`, type, tooltip));
+      const category = preferred
+        ? this.getSubcategoryLabel(preferred.name)
+        : (journal.casCategory || '综合');
+
+      let tooltip = `中科院分区大类和排名: ${journal.casCategory || ''} ${journal.casRank || ''}`;
+      if (journal.casSubs && journal.casSubs.length > 0) {
+        tooltip += '\n小类:';
+        for (const sub of journal.casSubs) {
+          tooltip += `\n  ${sub.name} ${sub.rank || ''}`;
+        }
+      }
+      tooltip += this.formatHistoryLine(journal, 'casQ', q => `${q}区`);
+      badges.cas = this.createBadge(compact ? `${q}区` : `${category}${q}区`, type, tooltip);
     }
 
-    // Badge 4: Impact Factor
+    // Impact Factor (with trend against the previous JCR year)
     if (journal.if) {
-      container.appendChild(
-        this.createBadge(`IF: ${journal.if.toFixed(1)}`, 'if', '影响因子 (2024)')
-      );
+      const ifHistory = this.getHistory(journal, 'if');
+      const latestYear = ifHistory.length > 0 ? ifHistory[ifHistory.length - 1].year : this.datasetYears.jcr;
+      const trend = this.getTrendArrow(ifHistory);
+
+      let tooltip = latestYear ? `影响因子 (${latestYear})` : '影响因子';
+      if (ifHistory.length > 1) {
+        tooltip += `\n趋势: ${this.getSparkline(ifHistory)}`;
+        for (const { year, value } of ifHistory) {
+          tooltip += `\n  ${year}: ${value.toFixed(1)}`;
+        }
+      }
+      const value = journal.if.toFixed(1);
+      const text = compact ? `IF ${value}${trend}` : `IF: ${value}${trend ? ' ' + trend : ''}`;
+      badges.if = this.createBadge(text, 'if', tooltip);
     }
 
-    // Badge 5: Top Journal
+    // Top Journal
     if (journal.isTop) {
-      container.appendChild(this.createBadge('🏆 TOP', 'top', 'Top 期刊'));
+      badges.top = this.createBadge(compact ? 'TOP' : '🏆 TOP', 'top', 'Top 期刊');
     }
 
-    // Badge 6: Warning Journal
+    // Warning Journal
     if (journal.isWarning) {
-      container.appendChild(this.createBadge('⚠️ WARN', 'warning', '中科院国际期刊预警名单 (2025)'));
+      const warnYears = this.getHistory(journal, 'isWarning').map(h => h.year);
+      if (warnYears.length === 0 && this.datasetYears.cas) warnYears.push(this.datasetYears.cas);
+      const tooltip = warnYears.length > 0
+        ? `中科院国际期刊预警名单 (${warnYears.join(', ')})`
+        : '中科院国际期刊预警名单';
+      badges.warning = this.createBadge(compact ? 'WARN' : '⚠️ WARN', 'warning', tooltip);
     }
 
-    // Badge 7: Mega Journal
+    // Mega Journal
     if (journal.isMega) {
-      container.appendChild(this.createBadge('🌊 MEGA', 'mega', 'Mega-Journal'));
+      badges.mega = this.createBadge(compact ? 'MEGA' : '🌊 MEGA', 'mega', 'Mega-Journal');
     }
 
-    // Badge 8: China Support
+    // China Support
     if (journal.isChinaSupport) {
-      container.appendChild(this.createBadge('🇨🇳 CN', 'cn', '中国SCI期刊支持计划'));
+      badges.cn = this.createBadge(compact ? 'CN' : '🇨🇳 CN', 'cn', '中国SCI期刊支持计划');
+    }
+
+    // Tags from imported custom lists (one badge per list)
+    if (match && match.tags && match.tags.length > 0) {
+      badges.custom = document.createDocumentFragment();
+      for (const tag of match.tags) {
+        badges.custom.appendChild(this.createTagBadge(tag));
+      }
+    }
+
+    for (const key of this.getBadgeOrder()) {
+      if (badges[key]) container.appendChild(badges[key]);
     }
 
     return container.children.length > 0 ? container : null;
   },
 
+  /**
+   * Badge for a custom list tag, coloured with the list's colour
+   */
+  createTagBadge(tag) {
+    const badge = this.createBadge(`${tag.label}${tag.tier}`, 'custom', `自定义列表: ${tag.list}`);
+    if (/^#[0-9a-f]{6}$/i.test(tag.color || '')) {
+      badge.style.color = tag.color;
+      badge.style.borderColor = tag.color;
+      badge.style.backgroundColor = `${tag.color}1a`;
+    }
+    return badge;
+  },
+
+  /**
+   * Visible badge keys in the user's order (badges missing from a stored
+   * order, e.g. added in a later version, are appended)
+   */
+  getBadgeOrder() {
+    const all = this.CONSTANTS.BADGE_TYPES.map(type => type.key);
+    const stored = (this.settings.badgeOrder || []).filter(key => all.includes(key));
+    const hidden = this.settings.hiddenBadges || [];
+    return [...stored, ...all.filter(key => !stored.includes(key))]
+      .filter(key => !hidden.includes(key));
+  },
+
+  /**
+   * Per-year values of one history field, sorted by year
+   * @returns {Array<{year: string, value: *}>}
+   */
+  getHistory(journal, field) {
+    if (!journal.history) return [];
+    return Object.keys(journal.history)
+      .sort()
+      .filter(year => journal.history[year][field] !== undefined)
+      .map(year => ({ year, value: journal.history[year][field] }));
+  },
+
+  /**
+   * Tooltip line listing a field across years, e.g. "\n历年: 2023 Q2 · 2024 Q1"
+   * Empty when there is only a single year.
+   */
+  formatHistoryLine(journal, field, format) {
+    const history = this.getHistory(journal, field);
+    if (history.length < 2) return '';
+    return '\n历年: ' + history.map(h => `${h.year} ${format(h.value)}`).join(' · ');
+  },
+
+  /**
+   * Compare the latest value with the previous year: ↑, ↓ or ''
+   */
+  getTrendArrow(history) {
+    if (history.length < 2) return '';
+    const latest = history[history.length - 1].value;
+    const previous = history[history.length - 2].value;
+    if (latest > previous) return '↑';
+    if (latest < previous) return '↓';
+    return '';
+  },
+
+  /**
+   * Text sparkline for numeric history, e.g. "▂▄▇"
+   */
+  getSparkline(history) {
+    const bars = '▁▂▃▄▅▆▇█';
+    const values = history.map(h => h.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min;
+    return values.map(v => {
+      const index = range === 0 ? 3 : Math.round((v - min) / range * (bars.length - 1));
+      return bars[index];
+    }).join('');
+  },
+
+  /**
+   * Tooltip for the JCR badge: best category first, then the rest
+   * e.g. "JCR分区 (最佳学科): ONCOLOGY(SCIE) Q1 1/326 (99.8%)"
+   */
+  getJcrTooltip(journal) {
+    const cats = journal.jcrCats || [];
+    if (cats.length === 0) return 'JCR分区';
+
+    const describe = (c) => {
+      let text = c.cat;
+      if (c.q) text += ` ${c.q}`;
+      if (c.rank) text += ` ${c.rank}`;
+      if (c.pct !== undefined) text += ` (${c.pct}%)`;
+      return text;
+    };
+
+    // Categories are sorted best first; the row's rank may fit none of them
+    const best = cats.find(c => c.rank);
+    const others = cats.filter(c => c !== best);
+    let tooltip = best ? `JCR分区 (最佳学科): ${describe(best)}` : 'JCR分区';
+    if (others.length > 0) {
+      tooltip += best ? '\n其他学科:' : '\n学科:';
+      for (const c of others) {
+        tooltip += `\n  ${describe(c)}`;
+      }
+    }
+    return tooltip;
+  },
+
+  /**
+   * Short JCR category name for the badge: "ONCOLOGY(SCIE)" -> "Oncology"
+   */
+  getJcrCategoryLabel(cat) {
+    return this.toTitleCase(cat.replace(/\s*\([A-Z-]+\)\s*$/, ''));
+  },
+
+  /**
+   * Check whether the journal's discipline is hidden in settings
+   */
+  isJournalHidden(journal) {
+    const hidden = this.settings.hiddenCategories || [];
+    return Boolean(journal.casCategory) && hidden.includes(journal.casCategory);
+  },
+
+  /**
+   * Find the first CAS subcategory matching the user's preferred keywords
+   */
+  getPreferredSubcategory(journal) {
+    const keywords = this.settings.preferredSubcategories || [];
+    if (!journal.casSubs || keywords.length === 0) return null;
+
+    for (const keyword of keywords) {
+      const needle = keyword.trim().toUpperCase();
+      if (!needle) continue;
+      const sub = journal.casSubs.find(s => s.q && s.name.toUpperCase().includes(needle));
+      if (sub) return sub;
+    }
+    return null;
+  },
+
+  /**
+   * Short label for a subcategory: "ONCOLOGY 肿瘤学" -> "肿瘤学"
+   */
+  getSubcategoryLabel(name) {
+    const match = name.match(/[\u4e00-\u9fa5][\u4e00-\u9fa5：、，\s]*$/);
+    return match ? match[0].trim() : name;
+  },
+
   /**
    * Get display name alias
    */
@@ -196,28 +559,231 @@ const NiceMed = {
     // Check for cached/processed status
     if (element.hasAttribute(this.CONSTANTS.ATTR_PROCESSED)) return false;
 
-    const journal = await this.queryJournal(query);
+    await this.ready;
+    const match = await this.queryJournal(query);
+    if (match === undefined) {
+      this.queueBadgeRetry([{ element, query, insertPosition }]);
+      return false;
+    }
+    this._retryAttempt = 0;
+    return this.renderMatch(element, match, insertPosition, query);
+  },
+
+  /**
+   * Inject badges into many elements using a single batch lookup.
+   * Items whose lookup failed stay unrendered and are retried by
+   * queueBadgeRetry(), since the sites have already marked the result items
+   * as processed and will not pass them again.
+   * @param {Array<{element: Element, query: Object, insertPosition?: string}>} items
+   */
+  async addBadgesToElements(items) {
+    const retry = this._retryItems.filter(item => item.element.isConnected);
+    this._retryItems = [];
+    const pending = [...retry, ...items].filter(item =>
+      item.element && item.query && !item.element.hasAttribute(this.CONSTANTS.ATTR_PROCESSED)
+    );
+    if (pending.length === 0) return;
+
+    await this.ready;
+    const matches = await this.queryJournals(pending.map(item => item.query));
+    const failed = [];
+    pending.forEach((item, i) => {
+      if (item.element.hasAttribute(this.CONSTANTS.ATTR_PROCESSED)) return;
+      if (matches[i] === undefined) {
+        failed.push(item);
+        return;
+      }
+      this.renderMatch(item.element, matches[i], item.insertPosition || 'append', item.query);
+    });
+    if (failed.length > 0) {
+      this.queueBadgeRetry(failed);
+    } else {
+      this._retryAttempt = 0;
+    }
+    this.updateResults();
+  },
+
+  /**
+   * Look failed items up again after the next delay in RETRY_DELAYS; once
+   * the delays are used up the background keeps failing, so show them as
+   * not found instead of leaving them blank
+   */
+  queueBadgeRetry(items) {
+    for (const item of items) {
+      if (!this._retryItems.includes(item)) this._retryItems.push(item);
+    }
+    if (this._retryTimer) return;
+
+    const delay = this.RETRY_DELAYS[this._retryAttempt];
+    if (delay === undefined) {
+      const expired = this._retryItems;
+      this._retryItems = [];
+      this._retryAttempt = 0;
+      for (const item of expired) {
+        if (item.element.isConnected && !item.element.hasAttribute(this.CONSTANTS.ATTR_PROCESSED)) {
+          this.renderMatch(item.element, null, item.insertPosition || 'append', item.query);
+        }
+      }
+      return;
+    }
+
+    this._retryAttempt++;
+    this._retryTimer = setTimeout(() => {
+      this._retryTimer = null;
+      this.addBadgesToElements([]);
+    }, delay);
+  },
+
+  /**
+   * Render badges for a lookup result next to an element and mark it processed
+   * @returns {boolean} Whether badges were inserted
+   */
+  renderMatch(element, match, insertPosition, query) {
+    const journal = match ? match.journal : null;
+    const record = { query, insertPosition, container: null, match };
+    this._rendered.set(element, record);
+
+    if (journal && this.isJournalHidden(journal)) {
+      element.setAttribute(this.CONSTANTS.ATTR_PROCESSED, 'hidden');
+      return false;
+    }
     if (journal) {
-      const badgeContainer = this.createBadgeContainer(journal);
+      const badgeContainer = this.createBadgeContainer(journal, match);
       if (badgeContainer) {
-        if (insertPosition === 'append') {
-          element.appendChild(badgeContainer);
-        } else if (insertPosition === 'prepend') {
-          element.insertBefore(badgeContainer, element.firstChild);
-        } else if (insertPosition === 'after') {
-          element.parentNode.insertBefore(badgeContainer, element.nextSibling);
-        } else if (insertPosition === 'before') {
-          element.parentNode.insertBefore(badgeContainer, element);
+        // Clicking the name badge opens the correction picker
+        const nameBadge = badgeContainer.querySelector(`.${this.CONSTANTS.BADGE_CLASS_PREFIX}badge-name`);
+        if (nameBadge && query) {
+          nameBadge.classList.add(`${this.CONSTANTS.BADGE_CLASS_PREFIX}badge-clickable`);
+          nameBadge.title += '\n点击纠正匹配';
+          nameBadge.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.openJournalPicker(element);
+          });
         }
+        this.insertContainer(element, badgeContainer, insertPosition);
+        record.container = badgeContainer;
         element.setAttribute(this.CONSTANTS.ATTR_PROCESSED, 'true');
         return true;
       }
     } else {
+      if (query) {
+        record.container = match && match.method === 'ambiguous'
+          ? this.createAmbiguousContainer(element, match)
+          : this.createNotFoundContainer(element);
+        this.insertContainer(element, record.container, insertPosition);
+      }
       element.setAttribute(this.CONSTANTS.ATTR_PROCESSED, 'not-found');
     }
     return false;
   },
 
+  /**
+   * Insert a badge container relative to an element
+   */
+  insertContainer(element, container, insertPosition) {
+    if (insertPosition === 'append') {
+      element.appendChild(container);
+    } else if (insertPosition === 'prepend') {
+      element.insertBefore(container, element.firstChild);
+    } else if (insertPosition === 'after') {
+      element.parentNode.insertBefore(container, element.nextSibling);
+    } else if (insertPosition === 'before') {
+      element.parentNode.insertBefore(container, element);
+    }
+  },
+
+  /**
+   * Container with a "find journal" action for unmatched results
+   */
+  createNotFoundContainer(element) {
+    const container = document.createElement('div');
+    container.className = `${this.CONSTANTS.BADGE_CLASS_PREFIX}badge-container`;
+    container.setAttribute(this.CONSTANTS.ATTR_CONTAINER, 'not-found');
+
+    const findBadge = this.createBadge('🔍 查找期刊', 'find', '未匹配到期刊，点击手动选择');
+    findBadge.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.openJournalPicker(element);
+    });
+    container.appendChild(findBadge);
+    return container;
+  },
+
+  /**
+   * Container for a truncated name that several journals could continue;
+   * lists the candidates and opens the picker to choose one
+   */
+  createAmbiguousContainer(element, match) {
+    const container = document.createElement('div');
+    container.className = `${this.CONSTANTS.BADGE_CLASS_PREFIX}badge-container`;
+    container.setAttribute(this.CONSTANTS.ATTR_CONTAINER, 'ambiguous');
+
+    let tooltip = `名称不完整，无法确定期刊: ${match.query}\n候选:`;
+    for (const c of match.candidates) {
+      tooltip += `\n  ${c.name}`;
+    }
+    tooltip += '\n点击选择期刊';
+
+    const badge = this.createBadge(`❓ ${match.candidates.length} 个候选期刊`, 'ambiguous', tooltip);
+    badge.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.openJournalPicker(element);
+    });
+    container.appendChild(badge);
+    return container;
+  },
+
+  /**
+   * Look up every rendered element again in one batch (after local data changes)
+   */
+  async refreshAll() {
+    this._cache.clear();
+    const items = [];
+    for (const [element, record] of this._rendered) {
+      if (record.container) record.container.remove();
+      element.removeAttribute(this.CONSTANTS.ATTR_PROCESSED);
+      if (element.isConnected) {
+        items.push({ element, query: record.query, insertPosition: record.insertPosition });
+      }
+    }
+    this._rendered.clear();
+    await this.addBadgesToElements(items);
+  },
+
+  /**
+   * Distinct non-empty values of the meta tags with any of the given names
+   * (e.g. "citation_issn"), in document order
+   */
+  readMeta(...names) {
+    const values = [];
+    for (const name of names) {
+      document.querySelectorAll(`meta[name="${name}" i]`).forEach(el => {
+        const value = (el.content || '').trim();
+        if (value && !values.includes(value)) values.push(value);
+      });
+    }
+    return values;
+  },
+
+  /**
+   * Match rendered for an element or for a badged element inside it
+   */
+  getRenderedMatch(element) {
+    if (this._rendered.has(element)) return this._rendered.get(element).match;
+    for (const [rendered, record] of this._rendered) {
+      if (element.contains(rendered)) return record.match;
+    }
+    return null;
+  },
+
+  /**
+   * Called after badges change; result list pages override it (results.js)
+   */
+  updateResults() {},
+
   /**
    * Check if element already has badges
    */
@@ -227,5 +793,7 @@ const NiceMed = {
   }
 };
 
+NiceMed.ready = Promise.all([NiceMed.loadSettings(), NiceMed.loadDatasetYears()]);
+
 // Make available globally
 window.NiceMed = NiceMed;
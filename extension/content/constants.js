@@ -6,5 +6,63 @@ const NiceMedConstants = {
   APP_NAME: 'NiceMed',
   BADGE_CLASS_PREFIX: 'nicemed-',
   ATTR_PROCESSED: 'data-nicemed-processed',
-  ATTR_CONTAINER: 'data-nicemed-container'
+  ATTR_CONTAINER: 'data-nicemed-container',
+
+  // Match methods that identify the journal exactly (others are shown as "≈")
+  EXACT_MATCH_METHODS: ['override', 'issn', 'eissn', 'name', 'alias', 'paren-stripped', 'custom'],
+
+  // Badge types in default display order (labels for the options page)
+  BADGE_TYPES: [
+    { key: 'name', label: '期刊名' },
+    { key: 'jcr', label: 'JCR 分区' },
+    { key: 'cas', label: '中科院分区' },
+    { key: 'if', label: '影响因子' },
+    { key: 'top', label: '🏆 TOP' },
+    { key: 'warning', label: '⚠️ WARN 预警' },
+    { key: 'mega', label: '🌊 MEGA' },
+    { key: 'cn', label: '🇨🇳 CN 中国SCI支持' },
+    { key: 'custom', label: '自定义列表' },
+    { key: 'tier', label: '等级（自定义规则）' }
+  ],
+
+  // Sites with content scripts (options page per-site switches)
+  SITES: [
+    { key: 'pubmed', label: 'PubMed', copyButton: true },
+    { key: 'scholar', label: 'Google Scholar', copyButton: false },
+    { key: 'europepmc', label: 'Europe PMC', copyButton: true },
+    { key: 'pmc', label: 'PMC', copyButton: true }
+  ],
+
+  // User settings stored in browser.storage.sync (see options page)
+  DEFAULT_SETTINGS: {
+    // Subcategory keywords in priority order, e.g. ["ONCOLOGY", "肿瘤学"]
+    preferredSubcategories: [],
+    // CAS disciplines (大类) whose journals get no badges
+    hiddenCategories: [],
+    // Badge keys (see BADGE_TYPES) in display order, and the ones switched off
+    badgeOrder: ['name', 'tier', 'jcr', 'cas', 'if', 'top', 'warning', 'mega', 'cn', 'custom'],
+    hiddenBadges: [],
+    // "full" or "compact" badge labels
+    labelStyle: 'full',
+    // Site keys (see SITES) without badges / without the copy title button
+    disabledSites: [],
+    hiddenCopyButtonSites: [],
+    // "Search in PubMed" button on Google Scholar results
+    scholarPubmedButton: true,
+    // Append "[IF=x.x, 中科院N区]" to copied citations (toggled in the copy menu)
+    citationWithMetrics: false,
+    // Publisher article pages (publisher.js): allowed and denied host names,
+    // or every site when the user granted access to all sites
+    publisherSites: [],
+    publisherDeniedSites: [],
+    publisherAllSites: false,
+    // Exact ISSNs for PubMed search results from NCBI esummary (one batched
+    // request per page), and the E-utilities endpoint (a local server for testing)
+    pubmedEsummary: false,
+    // Resolve Scholar's "Search in PubMed" button to a PMID link via esearch
+    scholarPubmedResolve: false,
+    eutilsBaseUrl: 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils/',
+    // Optional NCBI API key (raises the request rate limit)
+    eutilsApiKey: ''
+  }
 };
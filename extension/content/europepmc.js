@@ -0,0 +1,179 @@
+/**
+ * NiceMed - Europe PMC Content Script
+ * Adds journal badges and the copy menu to search results and article pages.
+ * Europe PMC is a single-page app, so results and articles are picked up by
+ * a MutationObserver as they are rendered.
+ */
+
+(function () {
+  const PROCESSED_ATTR = NiceMed.CONSTANTS.ATTR_PROCESSED;
+  const RESULT_ITEM = '.citation';
+  const ARTICLE_TITLE = '#article--current--title, h1.abs_title, .article-title h1';
+  // Path of the article a title was processed for (PROCESSED_ATTR is set by the badge rendering)
+  const ARTICLE_ATTR = 'data-nicemed-article';
+
+  NiceMed.setSite('europepmc');
+  NiceMed.setResultList({
+    item: RESULT_ITEM,
+    list: '.search-results',
+    extract: extractResult
+  });
+
+  /**
+   * Parse a citation details line such as
+   * "Nature medicine, 26 Jan 2022, 28(1):123-128 | PMID: 35140384"
+   */
+  function parseDetails(text) {
+    const details = { journal: '', year: '', volume: '', issue: '', pages: '', pmid: '', doi: '' };
+    const comma = text.indexOf(',');
+    details.journal = (comma > 0 ? text.slice(0, comma) : text.split('|')[0]).trim();
+
+    const year = text.match(/\b(19|20)\d{2}\b/);
+    if (year) details.year = year[0];
+
+    const source = text.match(/\b(\d+)(?:\(([^)]+)\))?:\s*([\w-]+)/);
+    if (source) {
+      details.volume = source[1];
+      details.issue = source[2] || '';
+      details.pages = source[3];
+    }
+
+    const pmid = text.match(/PMID:\s*(\d+)/i);
+    if (pmid) details.pmid = pmid[1];
+    const doi = text.match(/DOI:\s*(10\.\S+?)\.?(?:\s|$)/i);
+    if (doi) details.doi = doi[1];
+    return details;
+  }
+
+  /**
+   * Bibliographic record of a search result (used by export and copy)
+   */
+  function extractResult(result) {
+    const titleEl = result.querySelector('.citation-title');
+    const link = titleEl && titleEl.querySelector('a[href]');
+    const authorsEl = result.querySelector('.citation-author-list');
+    const detailsEl = result.querySelector('.citation-details');
+    const journalEl = result.querySelector('.citation-journal');
+
+    const details = parseDetails(detailsEl ? detailsEl.textContent : '');
+    if (journalEl) details.journal = journalEl.textContent.replace(/[.,]\s*$/, '').trim();
+
+    // Links look like /article/MED/35140384 (PubMed records) or /article/PMC/PMC1234567
+    const href = link ? link.getAttribute('href') : '';
+    const pmid = href.match(/\/article\/MED\/(\d+)/);
+    if (pmid && !details.pmid) details.pmid = pmid[1];
+
+    const authors = authorsEl
+      ? authorsEl.textContent.replace(/\.\s*$/, '').split(',').map(a => a.trim()).filter(Boolean)
+      : [];
+    return {
+      title: titleEl ? titleEl.textContent.replace(/\.\s*$/, '').trim() : '',
+      authors,
+      ...details,
+      url: link ? link.href : ''
+    };
+  }
+
+  /**
+   * Bibliographic record of the article page: citation_* meta tags, then the
+   * page's own citation line
+   */
+  function extractArticlePage(titleEl) {
+    const record = NiceMed.getMetaRecord();
+    const detailsEl = document.querySelector('.abs_citation_details, .article-metadata .citation-details');
+    const details = parseDetails(detailsEl ? detailsEl.textContent : '');
+    for (const field of ['journal', 'year', 'volume', 'issue', 'pages', 'pmid', 'doi']) {
+      if (!record[field]) record[field] = details[field];
+    }
+    if (!record.title) record.title = titleEl.textContent.trim();
+    return record;
+  }
+
+  /**
+   * Process search result items
+   */
+  function processSearchResults() {
+    const badgeItems = [];
+
+    document.querySelectorAll(RESULT_ITEM).forEach(result => {
+      if (result.hasAttribute(PROCESSED_ATTR)) return;
+      const titleEl = result.querySelector('.citation-title');
+      if (!titleEl) return;
+      result.setAttribute(PROCESSED_ATTR, 'true');
+
+      NiceMed.addCopyButton(titleEl, () => [{ ...extractResult(result), match: NiceMed.getRenderedMatch(result) }]);
+
+      const { journal } = extractResult(result);
+      if (journal) {
+        badgeItems.push({ element: titleEl, query: { name: journal }, insertPosition: 'after' });
+      }
+    });
+
+    // Resolve the whole page in one background round trip
+    NiceMed.addBadgesToElements(badgeItems);
+  }
+
+  /**
+   * Process an article page; the title element is replaced when the app
+   * navigates to another article
+   */
+  async function processArticlePage() {
+    const titleEl = document.querySelector(ARTICLE_TITLE);
+    if (!titleEl || titleEl.getAttribute(ARTICLE_ATTR) === location.pathname) return;
+    titleEl.setAttribute(ARTICLE_ATTR, location.pathname);
+
+    NiceMed.addCopyButton(titleEl, () => [{ ...extractArticlePage(titleEl), match: NiceMed.getRenderedMatch(titleEl) }]);
+
+    const [issn, eissn] = NiceMed.readMeta('citation_issn', 'citation_eissn');
+    const { journal } = extractArticlePage(titleEl);
+    if (!journal && !issn) return;
+
+    const query = {};
+    if (journal) query.name = journal;
+    if (issn) query.issn = issn;
+    if (eissn) query.eissn = eissn;
+    await NiceMed.addBadgesToElement(titleEl, query, 'before');
+  }
+
+  // --- Initialization ---
+
+  function init() {
+    processSearchResults();
+    processArticlePage();
+  }
+
+  function startObserver() {
+    let timeout = null;
+    const observer = new MutationObserver((mutations) => {
+      // Filter out self-mutations (badges inserted by NiceMed)
+      const hasRelevantMutation = mutations.some(m => {
+        for (const node of m.addedNodes) {
+          if (node.nodeType === 1 && typeof node.className === 'string' &&
+            node.className.includes('nicemed-')) {
+            return false;
+          }
+        }
+        return m.addedNodes.length > 0;
+      });
+      if (!hasRelevantMutation) return;
+
+      if (timeout) clearTimeout(timeout);
+      timeout = setTimeout(init, 500);
+    });
+
+    observer.observe(document.body, {
+      childList: true,
+      subtree: true
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+      init();
+      startObserver();
+    });
+  } else {
+    init();
+    startObserver();
+  }
+})();
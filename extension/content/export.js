@@ -0,0 +1,255 @@
+/**
+ * NiceMed - Result Export
+ * Writes the visible search results with their journal metrics to CSV, RIS
+ * or BibTeX. Bibliographic fields come from the site's extract() function
+ * passed to setResultList().
+ */
+
+Object.assign(NiceMed, {
+  EXPORT_FORMATS: {
+    csv: { label: 'CSV', extension: 'csv', type: 'text/csv' },
+    ris: { label: 'RIS', extension: 'ris', type: 'application/x-research-info-systems' },
+    bibtex: { label: 'BibTeX', extension: 'bib', type: 'application/x-bibtex' }
+  },
+
+  /**
+   * Export menu for the result toolbar
+   */
+  createExportControl() {
+    const select = document.createElement('select');
+    select.title = '导出当前显示的结果（含期刊指标）';
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = '导出…';
+    select.appendChild(placeholder);
+
+    for (const key in this.EXPORT_FORMATS) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = this.EXPORT_FORMATS[key].label;
+      select.appendChild(option);
+    }
+
+    select.addEventListener('change', () => {
+      if (select.value) this.exportResults(select.value);
+      select.value = '';
+    });
+    return select;
+  },
+
+  /**
+   * Bibliographic record plus match of every visible result, in display order
+   * @returns {Array<{title, authors, journal, year, volume, issue, pages, pmid, doi, url, match}>}
+   */
+  getVisibleRecords() {
+    const prefix = this.CONSTANTS.BADGE_CLASS_PREFIX;
+    const extract = this.resultConfig && this.resultConfig.extract;
+    if (!extract) return [];
+
+    return this.getResults()
+      .filter(result => !result.element.classList.contains(`${prefix}result-filtered`))
+      .map((result, index) => ({ result, index, order: Number(result.element.style.order || index) }))
+      .sort((a, b) => a.order - b.order || a.index - b.index)
+      .map(({ result }) => this.getResultRecord(result));
+  },
+
+  /**
+   * Records of the results ticked in the site's own selection checkboxes
+   */
+  getSelectedRecords() {
+    const config = this.resultConfig;
+    if (!config || !config.extract || !config.selection) return [];
+    return this.getResults()
+      .filter(result => {
+        const checkbox = result.element.querySelector(config.selection);
+        return checkbox && checkbox.checked;
+      })
+      .map(result => this.getResultRecord(result));
+  },
+
+  /**
+   * Bibliographic record of one result ({element, match} from getResults)
+   */
+  getResultRecord(result) {
+    return { ...this.resultConfig.extract(result.element), match: result.match };
+  },
+
+  /**
+   * Download visible results in one of EXPORT_FORMATS
+   */
+  exportResults(format) {
+    const records = this.getVisibleRecords();
+    if (records.length === 0) return;
+
+    const { extension, type } = this.EXPORT_FORMATS[format];
+    let text;
+    if (format === 'csv') text = this.formatCSV(records);
+    else if (format === 'ris') text = this.formatRIS(records);
+    else text = this.formatBibTeX(records);
+
+    const date = new Date().toISOString().slice(0, 10);
+    this.downloadText(`nicemed-${this.site || 'results'}-${date}.${extension}`, text, type);
+  },
+
+  /**
+   * Offer text as a file download
+   */
+  downloadText(filename, text, type) {
+    const blob = new Blob([text], { type: `${type};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  /**
+   * Split an author into family name and initials; handles PubMed's
+   * "Smith JA", Scholar's "JA Smith" and "Smith, John A" (citation meta tags)
+   * @returns {{family: string, initials: string}}
+   */
+  parseAuthorName(author) {
+    const name = author.trim();
+    const comma = name.indexOf(',');
+    if (comma > 0) {
+      const given = name.slice(comma + 1).trim();
+      const initials = given.split(/[\s.-]+/).filter(Boolean).map(part => part[0].toUpperCase()).join('');
+      return { family: name.slice(0, comma).trim(), initials };
+    }
+    let match = name.match(/^(.+?)\s+([A-Z]{1,4})$/);
+    if (match) return { family: match[1], initials: match[2] };
+    match = name.match(/^([A-Z]{1,4})\s+(.+)$/);
+    if (match) return { family: match[2], initials: match[1] };
+    return { family: name, initials: '' };
+  },
+
+  /**
+   * "Family, Initials" form used by RIS and BibTeX
+   */
+  invertAuthorName(author) {
+    const { family, initials } = this.parseAuthorName(author);
+    return initials ? `${family}, ${initials}` : family;
+  },
+
+  /**
+   * Metrics of a matched journal as short labels, e.g. ["IF=12.3", "JCR Q1", "中科院医学1区", "Top"]
+   */
+  getMetricLabels(journal) {
+    if (!journal) return [];
+    const labels = [];
+    if (journal.if) labels.push(`IF=${journal.if.toFixed(1)}`);
+    if (journal.jcrQ) labels.push(`JCR ${journal.jcrQ}`);
+    if (journal.casQ) labels.push(`中科院${journal.casCategory || ''}${journal.casQ}区`);
+    if (journal.isTop) labels.push('Top');
+    if (journal.isWarning) labels.push('预警期刊');
+    return labels;
+  },
+
+  /**
+   * CSV with a BOM so spreadsheet software detects UTF-8 (Chinese category names)
+   */
+  formatCSV(records) {
+    const header = [
+      'Title', 'Authors', 'Journal', 'Year', 'PMID', 'DOI',
+      'Matched Journal', 'ISSN', 'JCR Quartile', 'Impact Factor',
+      'CAS Category', 'CAS Partition', 'CAS Rank', 'Top', 'Warning'
+    ];
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = records.map(record => {
+      const journal = (record.match && record.match.journal) || {};
+      return [
+        record.title,
+        (record.authors || []).join('; '),
+        record.journal,
+        record.year,
+        record.pmid,
+        record.doi,
+        journal.name,
+        journal.issn || journal.eissn,
+        journal.jcrQ,
+        journal.if ? journal.if.toFixed(1) : '',
+        journal.casCategory,
+        journal.casQ,
+        journal.casRank,
+        journal.isTop ? 'Y' : '',
+        journal.isWarning ? 'Y' : ''
+      ].map(escape).join(',');
+    });
+    return '\uFEFF' + [header.join(','), ...rows].join('\r\n') + '\r\n';
+  },
+
+  /**
+   * RIS; metrics go to N1 (note) and one KW (keyword) line each
+   */
+  formatRIS(records) {
+    return records.map(record => {
+      const lines = ['TY  - JOUR'];
+      const add = (tag, value) => {
+        if (value) lines.push(`${tag}  - ${value}`);
+      };
+      add('TI', record.title);
+      for (const author of record.authors || []) add('AU', this.invertAuthorName(author));
+      add('JO', record.journal);
+      add('PY', record.year);
+      add('VL', record.volume);
+      add('IS', record.issue);
+      add('SP', record.pages);
+      add('DO', record.doi);
+      add('AN', record.pmid ? `PMID:${record.pmid}` : '');
+      add('UR', record.url);
+
+      const labels = this.getMetricLabels(record.match && record.match.journal);
+      add('N1', labels.join('; '));
+      for (const label of labels) add('KW', label);
+      lines.push('ER  - ');
+      return lines.join('\r\n');
+    }).join('\r\n\r\n') + '\r\n';
+  },
+
+  /**
+   * BibTeX; metrics go to note and keywords
+   */
+  formatBibTeX(records) {
+    const escape = (value) => String(value).replace(/[{}\\]/g, char => `\\${char}`);
+    const usedKeys = new Set();
+
+    return records.map(record => {
+      // Cite key: first author's family name + year, made unique
+      const authors = record.authors || [];
+      const family = authors.length > 0 ? this.parseAuthorName(authors[0]).family : '';
+      const base = `${family.replace(/[^A-Za-z0-9]/g, '') || 'anon'}${record.year || ''}`;
+      let key = base;
+      for (let i = 0; usedKeys.has(key); i++) {
+        key = base + (i < 26 ? String.fromCharCode(97 + i) : `_${i}`);
+      }
+      usedKeys.add(key);
+
+      const labels = this.getMetricLabels(record.match && record.match.journal);
+      const fields = [
+        ['title', record.title],
+        ['author', authors.map(author => this.invertAuthorName(author)).join(' and ')],
+        ['journal', record.journal],
+        ['year', record.year],
+        ['volume', record.volume],
+        ['number', record.issue],
+        ['pages', record.pages],
+        ['doi', record.doi],
+        ['pmid', record.pmid],
+        ['url', record.url],
+        ['note', labels.join('; ')],
+        ['keywords', labels.join(', ')]
+      ].filter(([, value]) => value);
+
+      const body = fields.map(([name, value]) => `  ${name} = {${escape(value)}}`).join(',\n');
+      return `@article{${key},\n${body}\n}`;
+    }).join('\n\n') + '\n';
+  }
+});
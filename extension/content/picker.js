@@ -0,0 +1,154 @@
+/**
+ * NiceMed - Journal Picker
+ * Candidate picker for correcting wrong or missing journal matches.
+ * The chosen query -> journal mapping is stored by the background script.
+ */
+
+Object.assign(NiceMed, {
+  /**
+   * Open the picker for an element rendered by renderMatch()
+   */
+  openJournalPicker(element) {
+    const record = this._rendered.get(element);
+    if (!record || !record.query) return;
+    this.closeJournalPicker();
+
+    const prefix = this.CONSTANTS.BADGE_CLASS_PREFIX;
+    const query = record.query;
+
+    const overlay = document.createElement('div');
+    overlay.className = `${prefix}picker-overlay`;
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.closeJournalPicker();
+    });
+
+    const dialog = document.createElement('div');
+    dialog.className = `${prefix}picker`;
+    overlay.appendChild(dialog);
+
+    const heading = document.createElement('div');
+    heading.className = `${prefix}picker-heading`;
+    heading.textContent = `选择期刊: ${query.name || query.issn || query.eissn}`;
+    dialog.appendChild(heading);
+
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.className = `${prefix}picker-input`;
+    input.placeholder = '期刊名、缩写或 ISSN';
+    input.value = query.name || query.issn || query.eissn || '';
+    dialog.appendChild(input);
+
+    const list = document.createElement('ul');
+    list.className = `${prefix}picker-list`;
+    dialog.appendChild(list);
+
+    const footer = document.createElement('div');
+    footer.className = `${prefix}picker-footer`;
+    dialog.appendChild(footer);
+
+    // Allow reverting a previous correction
+    if (record.match && record.match.method === 'override') {
+      const resetBtn = document.createElement('button');
+      resetBtn.textContent = '恢复自动匹配';
+      resetBtn.addEventListener('click', () => this.saveOverride(query, null));
+      footer.appendChild(resetBtn);
+    }
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = '取消';
+    cancelBtn.addEventListener('click', () => this.closeJournalPicker());
+    footer.appendChild(cancelBtn);
+
+    let timeout = null;
+    input.addEventListener('input', () => {
+      if (timeout) clearTimeout(timeout);
+      timeout = setTimeout(() => this.updatePickerResults(list, input.value, query), 200);
+    });
+    overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.closeJournalPicker();
+    });
+
+    document.body.appendChild(overlay);
+    this._picker = overlay;
+    input.focus();
+    input.select();
+    this.updatePickerResults(list, input.value, query);
+  },
+
+  /**
+   * Close the picker if open
+   */
+  closeJournalPicker() {
+    if (this._picker) {
+      this._picker.remove();
+      this._picker = null;
+    }
+  },
+
+  /**
+   * Search the local dataset and render candidates into the picker list;
+   * answers to searches older than the latest one are dropped
+   */
+  async updatePickerResults(list, text, query) {
+    const prefix = this.CONSTANTS.BADGE_CLASS_PREFIX;
+    const searchId = this._pickerSearchId = (this._pickerSearchId || 0) + 1;
+    let results = [];
+    try {
+      results = await browser.runtime.sendMessage({ type: 'searchJournals', text, limit: 10 });
+    } catch (error) {
+      this.log('Search failed:', error);
+    }
+    if (searchId !== this._pickerSearchId) return;
+
+    // Only journals with an ISSN can be saved as a correction
+    results = (results || []).filter(result => result.issn || result.eissn);
+    list.textContent = '';
+    if (results.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = `${prefix}picker-empty`;
+      empty.textContent = '无匹配期刊';
+      list.appendChild(empty);
+      return;
+    }
+
+    for (const result of results) {
+      const issn = result.issn || result.eissn;
+      const item = document.createElement('li');
+      item.className = `${prefix}picker-item`;
+
+      const name = document.createElement('span');
+      name.className = `${prefix}picker-name`;
+      name.textContent = this.toTitleCase(result.name);
+      item.appendChild(name);
+
+      const details = [issn];
+      if (result.jcrQ) details.push(`JCR ${result.jcrQ}`);
+      if (result.casQ) details.push(`${result.casCategory || ''}${result.casQ}区`);
+      if (result.if) details.push(`IF ${result.if.toFixed(1)}`);
+      const meta = document.createElement('span');
+      meta.className = `${prefix}picker-meta`;
+      meta.textContent = details.filter(Boolean).join(' · ');
+      item.appendChild(meta);
+
+      item.addEventListener('click', () => this.saveOverride(query, issn));
+      list.appendChild(item);
+    }
+  },
+
+  /**
+   * Store (or with issn null, clear) a correction. The background treats an
+   * empty ISSN as "clear", so only an explicit null may reset. Affected
+   * results are re-rendered by the storage.onChanged listener (refreshAll).
+   */
+  async saveOverride(query, issn) {
+    if (issn !== null && !issn) return;
+    try {
+      const saved = await browser.runtime.sendMessage({ type: 'setJournalOverride', query, issn });
+      if (!saved) return;
+    } catch (error) {
+      this.log('Saving correction failed:', error);
+      return;
+    }
+    this.closeJournalPicker();
+  }
+});
@@ -0,0 +1,49 @@
+/**
+ * NiceMed - PMC Content Script
+ * Adds journal badges and the copy menu to PubMed Central article pages.
+ */
+
+(function () {
+  const ARTICLE_TITLE = '.front-matter hgroup h1, hgroup h1, h1.content-title';
+
+  NiceMed.setSite('pmc');
+
+  /**
+   * Bibliographic record of the article page from its citation_* meta tags
+   */
+  function extractArticlePage(titleEl) {
+    const record = NiceMed.getMetaRecord();
+    if (!record.title) record.title = titleEl.textContent.trim();
+
+    // Canonical article URL without the section anchor
+    const pmcid = location.pathname.match(/\/articles\/(PMC\d+)/);
+    if (pmcid) record.url = `https://pmc.ncbi.nlm.nih.gov/articles/${pmcid[1]}/`;
+    return record;
+  }
+
+  /**
+   * Process article page
+   */
+  async function processArticlePage() {
+    const titleEl = document.querySelector(ARTICLE_TITLE);
+    if (!titleEl) return;
+
+    NiceMed.addCopyButton(titleEl, () => [{ ...extractArticlePage(titleEl), match: NiceMed.getRenderedMatch(titleEl) }]);
+
+    const [name] = NiceMed.readMeta('citation_journal_title', 'citation_journal_abbrev');
+    const [issn, eissn] = NiceMed.readMeta('citation_issn', 'citation_eissn');
+    if (!name && !issn) return;
+
+    const query = {};
+    if (name) query.name = name;
+    if (issn) query.issn = issn;
+    if (eissn) query.eissn = eissn;
+    await NiceMed.addBadgesToElement(titleEl, query, 'before');
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', processArticlePage);
+  } else {
+    processArticlePage();
+  }
+})();
@@ -0,0 +1,110 @@
+/**
+ * NiceMed - Publisher Article Pages
+ * Opt-in script for arbitrary article pages (registered at runtime by the
+ * background script for allowed domains). Reads the citation meta tags most
+ * publishers expose and shows a floating badge card for the journal.
+ */
+
+(function () {
+  const CARD_CLASS = `${NiceMed.CONSTANTS.BADGE_CLASS_PREFIX}floating-card`;
+
+  // Injected again by the popup into a page that already runs it
+  if (window.NiceMedPublisherLoaded) return;
+  window.NiceMedPublisherLoaded = true;
+
+  NiceMed.setSite('publisher');
+
+  /**
+   * Look the journal up by its exact ISSNs; without ISSNs (or no ISSN match)
+   * fall back to the journal title but only accept exact name matches
+   * @returns {Promise<Object|null|undefined>} undefined if a lookup failed
+   */
+  async function findJournal() {
+    const issns = NiceMed.readMeta('citation_issn', 'citation_eissn', 'prism.issn', 'prism.eIssn')
+      .flatMap(value => value.split(/[,;\s]+/))
+      .map(value => value.trim())
+      .filter(value => /^\d{4}-?\d{3}[\dXx]$/.test(value));
+    const [name] = NiceMed.readMeta('citation_journal_title', 'prism.publicationName');
+
+    if (issns.length > 0) {
+      const match = await NiceMed.queryJournal({ issn: issns[0], eissn: issns[1] });
+      if (match !== null) return match;
+    }
+    if (name) {
+      const match = await NiceMed.queryJournal({ name });
+      if (match === undefined) return match;
+      if (match && NiceMed.isExactMatch(match)) return match;
+    }
+    return null;
+  }
+
+  /**
+   * Stop showing the card on this site
+   */
+  async function denySite() {
+    const host = location.hostname;
+    const settings = NiceMed.settings;
+    await browser.storage.sync.set({
+      publisherSites: (settings.publisherSites || []).filter(h => h !== host),
+      publisherDeniedSites: [...new Set([...(settings.publisherDeniedSites || []), host])]
+    });
+    removeCard();
+  }
+
+  function removeCard() {
+    const card = document.querySelector(`.${CARD_CLASS}`);
+    if (card) card.remove();
+  }
+
+  /**
+   * Floating card with the journal's badges
+   */
+  function renderCard(match) {
+    const prefix = NiceMed.CONSTANTS.BADGE_CLASS_PREFIX;
+    const badges = NiceMed.createBadgeContainer(match.journal, match);
+    if (!badges) return;
+
+    const card = document.createElement('div');
+    card.className = CARD_CLASS;
+
+    const header = document.createElement('div');
+    header.className = `${prefix}floating-header`;
+    header.textContent = NiceMed.CONSTANTS.APP_NAME;
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.textContent = '×';
+    close.title = '关闭';
+    close.addEventListener('click', removeCard);
+    header.appendChild(close);
+    card.appendChild(header);
+
+    card.appendChild(badges);
+
+    const deny = document.createElement('button');
+    deny.type = 'button';
+    deny.className = `${prefix}floating-deny`;
+    deny.textContent = '不在此网站显示';
+    deny.addEventListener('click', denySite);
+    card.appendChild(deny);
+
+    document.body.appendChild(card);
+  }
+
+  async function init(attempt = 0) {
+    await NiceMed.ready;
+    if ((NiceMed.settings.publisherDeniedSites || []).includes(location.hostname)) return;
+
+    const match = await findJournal();
+    // Background lookup failed: try again with the shared backoff delays
+    if (match === undefined) {
+      const delay = NiceMed.RETRY_DELAYS[attempt];
+      if (delay !== undefined) setTimeout(() => init(attempt + 1), delay);
+      return;
+    }
+    if (match && match.journal && !NiceMed.isJournalHidden(match.journal)) {
+      renderCard(match);
+    }
+  }
+
+  init();
+})();
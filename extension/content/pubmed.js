@@ -4,82 +4,187 @@
 
 (function () {
   const PROCESSED_ATTR = NiceMed.CONSTANTS.ATTR_PROCESSED;
-  const COPY_BTN_ATTR = 'data-nicemed-copy-added';
+  const SELECTION_CHECKBOX = 'input.search-result-selector';
+  const PUBLICATION_ATTR = 'data-nicemed-publication';
+  // Publication types and comments/corrections lists on the article page
+  const ARTICLE_PUBLICATION_TYPES = '#full-view-heading .publication-type, #publication-types .keyword-actions-trigger';
+  const ARTICLE_NOTICES = '.linked-articles, .comment-correction-list, #comments-and-corrections';
+
+  NiceMed.setSite('pubmed');
+  NiceMed.setResultList({
+    item: 'article.full-docsum',
+    list: '.search-results-chunks',
+    group: '.search-results-chunk',
+    sortable: true,
+    extract: extractDocsum,
+    selection: SELECTION_CHECKBOX,
+    publication: getDocsumPublication
+  });
 
   /**
    * Extract journal name from citation text (take text before first dot)
    */
   function extractJournalName(citationElement) {
     if (!citationElement) return null;
-    let text = citationElement.textContent.trim();
-    const dotIndex = text.indexOf('.');
-    if (dotIndex > 0) {
-      return text.substring(0, dotIndex).trim();
+    return extractJournalFromText(citationElement.textContent) || null;
+  }
+
+  /**
+   * Parse a docsum citation such as
+   * "Nature. 2020 Jan;577(7788):123-128. doi: 10.1038/s41586-019-1890-1. Epub 2019 Dec 11."
+   */
+  function parseCitation(text) {
+    const citation = { journal: extractJournalFromText(text), year: '', volume: '', issue: '', pages: '', doi: '' };
+    const rest = text.slice(text.indexOf('.') + 1);
+
+    const year = rest.match(/\b(19|20)\d{2}\b/);
+    if (year) citation.year = year[0];
+
+    const source = rest.match(/;\s*([^(:;.\s]+)?(?:\(([^)]+)\))?(?::\s*([^.;\s]+))?/);
+    if (source) {
+      citation.volume = source[1] || '';
+      citation.issue = source[2] || '';
+      citation.pages = source[3] || '';
     }
-    return text || null;
+
+    const doi = rest.match(/doi:\s*(10\.\S+?)\.?(?:\s|$)/i);
+    if (doi) citation.doi = doi[1];
+    return citation;
   }
 
   /**
-   * Create copy button for title
+   * Journal name from citation text (text before the first dot)
    */
-  function createCopyButton(titleText) {
-    // Remove trailing period
-    titleText = titleText.replace(/\.\s*$/, '').trim();
-
-    const btn = document.createElement('span');
-    btn.className = 'nicemed-copy-btn';
-    btn.title = '复制标题';
-    const clipboardSvg = '<svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor"><path d="M4 2a2 2 0 0 1 2-2h8a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V2zm2-1a1 1 0 0 0-1 1v8a1 1 0 0 0 1 1h8a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1H6zM2 5a1 1 0 0 0-1 1v8a1 1 0 0 0 1 1h8a1 1 0 0 0 1-1v-1h1v1a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h1v1H2z"/></svg>';
-    const checkSvg = '<svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor"><path d="M13.78 4.22a.75.75 0 0 1 0 1.06l-7.25 7.25a.75.75 0 0 1-1.06 0L2.22 9.28a.75.75 0 1 1 1.06-1.06L6 10.94l6.72-6.72a.75.75 0 0 1 1.06 0z"/></svg>';
-
-    btn.innerHTML = clipboardSvg;
-
-    // Prevent any navigation
-    btn.onmousedown = (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      e.stopImmediatePropagation();
-    };
+  function extractJournalFromText(text) {
+    text = text.trim();
+    const dotIndex = text.indexOf('.');
+    return (dotIndex > 0 ? text.substring(0, dotIndex) : text).trim();
+  }
 
-    btn.onclick = async (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      e.stopImmediatePropagation();
-      try {
-        await navigator.clipboard.writeText(titleText);
-        btn.innerHTML = checkSvg;
-        btn.classList.add('nicemed-copy-success');
-        setTimeout(() => {
-          btn.innerHTML = clipboardSvg;
-          btn.classList.remove('nicemed-copy-success');
-        }, 1500);
-      } catch (err) {
-        console.error('Copy failed:', err);
-      }
-      return false;
+  /**
+   * Bibliographic record of a search result (used by export)
+   */
+  function extractDocsum(article) {
+    const titleEl = article.querySelector('.docsum-title');
+    const authorsEl = article.querySelector('.docsum-authors.full-authors') || article.querySelector('.docsum-authors');
+    const citationEl = article.querySelector('.docsum-journal-citation.full-journal-citation')
+      || article.querySelector('.docsum-journal-citation');
+    const pmidEl = article.querySelector('.docsum-pmid');
+
+    const pmid = pmidEl ? pmidEl.textContent.trim() : '';
+    const authors = authorsEl
+      ? authorsEl.textContent.replace(/\.\s*$/, '').split(',').map(a => a.trim()).filter(Boolean)
+      : [];
+    return {
+      title: titleEl ? titleEl.textContent.replace(/\.\s*$/, '').trim() : '',
+      authors,
+      ...parseCitation(citationEl ? citationEl.textContent : ''),
+      pmid,
+      url: pmid ? `https://pubmed.ncbi.nlm.nih.gov/${pmid}/` : ''
     };
-    return btn;
   }
 
   /**
-   * Add copy button to a title element
+   * Bibliographic record of the article page: citation_* meta tags, with the
+   * visible citation line filling in what they lack
    */
-  function addCopyButton(titleElement) {
-    if (!titleElement || titleElement.hasAttribute(COPY_BTN_ATTR)) return;
+  function extractArticlePage() {
+    const record = NiceMed.getMetaRecord();
+    const citEl = document.querySelector('.article-citation .cit, .article-source .cit');
+    const cit = parseCitation(`${record.journal}. ${citEl ? citEl.textContent : ''}`);
+    for (const field of ['year', 'volume', 'issue', 'pages', 'doi']) {
+      if (!record[field]) record[field] = cit[field];
+    }
 
-    const titleText = titleElement.textContent.trim();
-    if (!titleText) return;
+    const titleEl = document.querySelector('.heading-title');
+    if (!record.title && titleEl) record.title = titleEl.textContent.trim();
+    if (record.pmid) record.url = `https://pubmed.ncbi.nlm.nih.gov/${record.pmid}/`;
+    return record;
+  }
+
+  /**
+   * Study designs and notices of a docsum (result item or .docsum-content)
+   */
+  function getDocsumPublication(article) {
+    const typeNames = [...article.querySelectorAll('.publication-type')].map(el => el.textContent);
+    const citationEl = article.querySelector('.docsum-citation');
+    return NiceMed.classifyPublication(typeNames, citationEl ? citationEl.textContent : '');
+  }
 
-    const copyBtn = createCopyButton(titleText);
-    titleElement.insertBefore(copyBtn, titleElement.firstChild);
-    titleElement.setAttribute(COPY_BTN_ATTR, 'true');
+  /**
+   * Study designs and notices of the article page
+   */
+  function getArticlePublication() {
+    const typeNames = [...document.querySelectorAll(ARTICLE_PUBLICATION_TYPES)].map(el => el.textContent);
+    const noticeText = [...document.querySelectorAll(ARTICLE_NOTICES)].map(el => el.textContent).join('\n');
+    return NiceMed.classifyPublication(typeNames, noticeText);
+  }
+
+  /**
+   * Insert the publication type row after a title, once; the journal badges
+   * (also inserted after the title) end up above it
+   */
+  function addPublicationRow(titleElement, publication) {
+    if (titleElement.hasAttribute(PUBLICATION_ATTR)) return;
+    titleElement.setAttribute(PUBLICATION_ATTR, 'true');
+    const row = NiceMed.createPublicationRow(publication);
+    if (row) NiceMed.insertContainer(titleElement, row, 'after');
+  }
+
+  /**
+   * Records to copy from a result's menu: all selected results when this
+   * one is among them, otherwise just this result
+   */
+  function getDocsumRecords(article) {
+    const checkbox = article.querySelector(SELECTION_CHECKBOX);
+    if (checkbox && checkbox.checked) {
+      const selected = NiceMed.getSelectedRecords();
+      if (selected.length > 0) return selected;
+    }
+    return [{ ...extractDocsum(article), match: NiceMed.getRenderedMatch(article) }];
+  }
+
+  /**
+   * Add exact ISSNs from NCBI esummary to the queries of search results
+   * (optional, see settings); without an answer the name query is kept
+   */
+  async function addEsummaryIssns(badgeItems) {
+    await NiceMed.ready;
+    if (!NiceMed.settings.pubmedEsummary) return;
+    const pmids = badgeItems.map(item => item.pmid).filter(Boolean);
+    if (pmids.length === 0) return;
+
+    let issns = {};
+    try {
+      issns = (await browser.runtime.sendMessage({ type: 'resolvePmids', pmids })) || {};
+    } catch (error) {
+      NiceMed.log('esummary lookup failed:', error);
+      return;
+    }
+    for (const item of badgeItems) {
+      const entry = issns[item.pmid];
+      if (!entry) continue;
+      if (entry.issn) item.query.issn = entry.issn;
+      if (entry.eissn) item.query.eissn = entry.eissn;
+    }
+  }
+
+  /**
+   * PMID of a docsum, from the title link or the PMID line
+   */
+  function getDocsumPmid(article) {
+    const titleEl = article.querySelector('.docsum-title[data-article-id]');
+    if (titleEl) return titleEl.getAttribute('data-article-id');
+    const pmidEl = article.querySelector('.docsum-pmid');
+    return pmidEl ? pmidEl.textContent.trim() : '';
   }
 
   /**
    * Process search results page
    */
-  function processSearchResults() {
+  async function processSearchResults() {
     const articles = document.querySelectorAll(".docsum-content");
+    const badgeItems = [];
 
     articles.forEach((article) => {
       if (article.hasAttribute(PROCESSED_ATTR)) return;
@@ -91,9 +196,10 @@
       const journalNameElement = article.querySelector(".docsum-journal-citation");
       const titleElement = article.querySelector(".docsum-title");
 
-      // Add copy button to title
+      // Add copy menu and publication types to title
       if (titleElement) {
-        addCopyButton(titleElement);
+        NiceMed.addCopyButton(titleElement, () => getDocsumRecords(article.closest('article') || article));
+        addPublicationRow(titleElement, getDocsumPublication(article));
       }
 
       if (journalNameElement) {
@@ -101,17 +207,22 @@
 
         if (journalName) {
           const query = { name: journalName };
+          const pmid = getDocsumPmid(article.closest('article') || article);
 
           if (titleElement) {
-            NiceMed.addBadgesToElement(titleElement, query, 'after');
+            badgeItems.push({ element: titleElement, query, insertPosition: 'after', pmid });
           } else {
-            NiceMed.addBadgesToElement(journalNameElement, query, 'before');
+            badgeItems.push({ element: journalNameElement, query, insertPosition: 'before', pmid });
           }
         }
 
         article.setAttribute(PROCESSED_ATTR, "true");
       }
     });
+
+    // Resolve the whole page in one background round trip
+    await addEsummaryIssns(badgeItems);
+    NiceMed.addBadgesToElements(badgeItems);
   }
 
   /**
@@ -121,9 +232,10 @@
     const journalTitleElement = document.querySelector("#full-view-journal-trigger");
     const articleTitle = document.querySelector(".heading-title");
 
-    // Add copy button to article title
+    // Add copy menu and publication types to article title
     if (articleTitle) {
-      addCopyButton(articleTitle);
+      NiceMed.addCopyButton(articleTitle, () => [{ ...extractArticlePage(), match: NiceMed.getRenderedMatch(articleTitle) }]);
+      addPublicationRow(articleTitle, getArticlePublication());
     }
 
     if (journalTitleElement && articleTitle) {
@@ -153,6 +265,7 @@
    */
   async function processSimilarArticles() {
     const similarArticles = document.querySelectorAll('.similar-articles .full-docsum, #similar .docsum-content');
+    const badgeItems = [];
 
     for (const article of similarArticles) {
       if (article.hasAttribute(PROCESSED_ATTR)) continue;
@@ -160,18 +273,21 @@
 
       const titleEl = article.querySelector('.docsum-title');
 
-      // Add copy button
+      // Add copy menu and publication types
       if (titleEl) {
-        addCopyButton(titleEl);
+        NiceMed.addCopyButton(titleEl, () => [{ ...extractDocsum(article), match: NiceMed.getRenderedMatch(article) }]);
+        addPublicationRow(titleEl, getDocsumPublication(article));
       }
 
       const citationEl = article.querySelector('.docsum-journal-citation');
       const journalName = extractJournalName(citationEl);
 
       if (journalName && titleEl) {
-        await NiceMed.addBadgesToElement(titleEl, { name: journalName }, 'after');
+        badgeItems.push({ element: titleEl, query: { name: journalName }, insertPosition: 'after' });
       }
     }
+
+    await NiceMed.addBadgesToElements(badgeItems);
   }
 
   // --- Initialization ---
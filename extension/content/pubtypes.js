@@ -0,0 +1,91 @@
+/**
+ * NiceMed - Publication Types
+ * Study-design badges and retraction/correction markers built from the
+ * publication types and notices PubMed lists for an article (see pubmed.js).
+ * Shown as a second badge row under the journal badges.
+ */
+
+Object.assign(NiceMed, {
+  /**
+   * Study designs: key, badge label and the PubMed publication type names
+   * that map to it, roughly in order of evidence level
+   */
+  PUBLICATION_TYPES: [
+    { key: 'meta-analysis', label: 'Meta-Analysis', test: /^meta-analysis$/i },
+    { key: 'systematic-review', label: 'Systematic Review', test: /^systematic review$/i },
+    { key: 'rct', label: 'RCT', title: 'Randomized Controlled Trial', test: /^randomized controlled trial$/i },
+    { key: 'clinical-trial', label: 'Clinical Trial', test: /^clinical trial(, phase [iv]+)?$/i },
+    { key: 'guideline', label: 'Guideline', test: /^(practice )?guideline$/i },
+    { key: 'observational', label: 'Observational Study', test: /^observational study$/i },
+    { key: 'review', label: 'Review', test: /^review$/i },
+    { key: 'case-report', label: 'Case Report', test: /^case reports?$/i }
+  ],
+
+  /**
+   * Notices about the article itself: a publication type (e.g. "Retracted
+   * Publication") or a linked notice ("Retraction in: ...")
+   */
+  PUBLICATION_NOTICES: [
+    {
+      key: 'retracted',
+      label: '⛔ RETRACTED',
+      title: '已撤稿（Retracted Publication / Retraction in）',
+      type: /^retracted publication$/i,
+      text: /\bretraction in\b/i
+    },
+    {
+      key: 'concern',
+      label: 'EXPRESSION OF CONCERN',
+      title: '期刊发布了关注声明（Expression of Concern in）',
+      text: /\bexpression of concern in\b/i
+    },
+    {
+      key: 'erratum',
+      label: 'HAS ERRATUM',
+      title: '有勘误（Erratum in）',
+      text: /\berratum in\b/i
+    }
+  ],
+
+  /**
+   * Study-design and notice keys of an article
+   * @param {string[]} typeNames - Publication type names as shown by PubMed
+   * @param {string} [noticeText] - Text that may contain "Retraction in:" etc.
+   * @returns {{types: string[], notices: string[]}}
+   */
+  classifyPublication(typeNames, noticeText = '') {
+    const names = typeNames.map(name => name.replace(/\.\s*$/, '').trim());
+    return {
+      types: this.PUBLICATION_TYPES
+        .filter(type => names.some(name => type.test.test(name)))
+        .map(type => type.key),
+      notices: this.PUBLICATION_NOTICES
+        .filter(notice => (notice.type && names.some(name => notice.type.test(name))) ||
+          (notice.text && notice.text.test(noticeText)))
+        .map(notice => notice.key)
+    };
+  },
+
+  /**
+   * Badge row for an article's notices (first) and study designs
+   * @returns {Element|null} null when there is nothing to show
+   */
+  createPublicationRow(publication) {
+    const prefix = this.CONSTANTS.BADGE_CLASS_PREFIX;
+    const container = document.createElement('div');
+    container.className = `${prefix}badge-container ${prefix}publication-row`;
+    container.setAttribute(this.CONSTANTS.ATTR_CONTAINER, 'publication');
+
+    for (const notice of this.PUBLICATION_NOTICES) {
+      if (publication.notices.includes(notice.key)) {
+        container.appendChild(this.createBadge(notice.label, `notice-${notice.key}`, notice.title));
+      }
+    }
+    for (const type of this.PUBLICATION_TYPES) {
+      if (publication.types.includes(type.key)) {
+        container.appendChild(this.createBadge(type.label, `pubtype-${type.key}`, type.title || type.label));
+      }
+    }
+    return container.children.length > 0 ? container : null;
+  }
+});
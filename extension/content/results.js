@@ -0,0 +1,424 @@
+/**
+ * NiceMed - Result List Tools
+ * Filter/sort toolbar and summary panel for search result pages, working on
+ * the matches already rendered as badges. Sorting uses CSS flex order, so
+ * PubMed's own DOM (pagination chunks, "show more") is never rearranged.
+ */
+
+Object.assign(NiceMed, {
+  // Site configuration set by setResultList():
+  // { item, list, group, toolbarBefore, sortable, extract, selection, highlights, publication }
+  resultConfig: null,
+
+  // Current filter/sort state, kept per tab in sessionStorage;
+  // bucket is the summary bucket clicked by the user (see RESULT_BUCKETS),
+  // pubType and hideRetracted apply to sites with publication types (pubtypes.js)
+  resultView: {
+    show: 'all',
+    hideWarning: false,
+    sort: 'default',
+    bucket: null,
+    summaryOpen: true,
+    pubType: 'all',
+    hideRetracted: false
+  },
+
+  RESULT_VIEW_KEY: 'nicemed-result-view',
+
+  /**
+   * "Show only" options: label and the test a journal must pass
+   */
+  RESULT_FILTERS: {
+    all: { label: '全部期刊', test: () => true },
+    cas12: { label: '中科院1–2区', test: j => !!j.casQ && j.casQ <= 2 },
+    jcrQ1: { label: 'JCR Q1', test: j => j.jcrQ === 'Q1' },
+    cas12OrQ1: { label: '中科院1–2区或JCR Q1', test: j => (!!j.casQ && j.casQ <= 2) || j.jcrQ === 'Q1' }
+  },
+
+  /**
+   * Sort options: label and a key function (lower sorts first, null last)
+   */
+  RESULT_SORTS: {
+    default: { label: '默认顺序', key: null },
+    if: { label: '影响因子从高到低', key: j => (j.if ? -j.if : null) },
+    cas: { label: '中科院分区', key: j => (j.casQ ? j.casQ * 1000 - (j.if || 0) : null) },
+    jcr: { label: 'JCR 分区', key: j => (j.jcrQ ? parseInt(j.jcrQ.slice(1), 10) * 1000 - (j.if || 0) : null) }
+  },
+
+  // Most frequent journals listed in the summary panel
+  SUMMARY_TOP_JOURNALS: 5,
+
+  /**
+   * Summary buckets: key, label and test on the matched journal
+   */
+  RESULT_BUCKETS: [
+    { key: 'jcr:Q1', group: 'JCR', label: 'Q1', test: j => j.jcrQ === 'Q1' },
+    { key: 'jcr:Q2', group: 'JCR', label: 'Q2', test: j => j.jcrQ === 'Q2' },
+    { key: 'jcr:Q3', group: 'JCR', label: 'Q3', test: j => j.jcrQ === 'Q3' },
+    { key: 'jcr:Q4', group: 'JCR', label: 'Q4', test: j => j.jcrQ === 'Q4' },
+    { key: 'cas:1', group: '中科院', label: '1区', test: j => j.casQ === 1 },
+    { key: 'cas:2', group: '中科院', label: '2区', test: j => j.casQ === 2 },
+    { key: 'cas:3', group: '中科院', label: '3区', test: j => j.casQ === 3 },
+    { key: 'cas:4', group: '中科院', label: '4区', test: j => j.casQ === 4 },
+    { key: 'flag:top', group: '标识', label: 'Top', test: j => !!j.isTop },
+    { key: 'flag:warning', group: '标识', label: '预警', test: j => !!j.isWarning },
+    { key: 'flag:mega', group: '标识', label: 'Mega', test: j => !!j.isMega }
+  ],
+
+  /**
+   * Enable the toolbar on a result list page
+   * @param {Object} config
+   * @param {string} config.item - Selector of one result (contains the badged element)
+   * @param {string} config.list - Selector of the element holding all results
+   * @param {string} [config.group] - Selector of intermediate wrappers (PubMed page chunks)
+   * @param {string} [config.toolbarBefore] - Selector of the element the toolbar goes in front of
+   *   (default: the list; needed when the list is a table body)
+   * @param {boolean} [config.sortable] - Offer sorting
+   * @param {Function} [config.extract] - Result element -> bibliographic record (enables export and copy)
+   * @param {string} [config.selection] - Selector of the site's own selection checkbox in a result
+   * @param {string[]} [config.highlights] - RESULT_BUCKETS keys shown as a headline row of the summary
+   * @param {Function} [config.publication] - Result element -> {types, notices} (enables publication type filters)
+   */
+  setResultList(config) {
+    this.resultConfig = config;
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(this.RESULT_VIEW_KEY));
+      if (stored) this.resultView = { ...this.resultView, ...stored };
+    } catch (error) {
+      this.log('Ignoring stored result view:', error);
+    }
+  },
+
+  /**
+   * Results on the page with their match (and publication types where the
+   * site provides them), in original order
+   * @returns {Array<{element: Element, match: Object|null, publication: Object|null}>}
+   */
+  getResults() {
+    const config = this.resultConfig;
+    if (!config) return [];
+    const list = document.querySelector(config.list);
+    if (!list) return [];
+
+    const matches = new Map();
+    for (const [element, record] of this._rendered) {
+      const item = element.isConnected && element.closest(config.item);
+      if (item && list.contains(item)) matches.set(item, record.match);
+    }
+    return [...list.querySelectorAll(config.item)].map(element => ({
+      element,
+      match: matches.get(element) || null,
+      publication: config.publication ? config.publication(element) : null
+    }));
+  },
+
+  /**
+   * Whether a result passes the current filters; unmatched results only
+   * show when no "show only" filter is active
+   */
+  isResultVisible(match, publication = null) {
+    const view = this.resultView;
+    const journal = match && match.journal;
+    if (view.hideWarning && journal && journal.isWarning) return false;
+    if (this.resultConfig.publication) {
+      const { types = [], notices = [] } = publication || {};
+      if (view.hideRetracted && notices.includes('retracted')) return false;
+      if (view.pubType !== 'all' && !types.includes(view.pubType)) return false;
+    }
+    if (view.bucket) {
+      const inBucket = /^(pub|notice):/.test(view.bucket)
+        ? !!publication && this.isInPublicationBucket(publication, view.bucket)
+        : !!journal && this.isInBucket(journal, view.bucket);
+      if (!inBucket) return false;
+    }
+    if (view.show === 'all') return true;
+    const filter = this.RESULT_FILTERS[view.show];
+    return !!journal && (!filter || filter.test(journal));
+  },
+
+  /**
+   * Whether a journal falls into a summary bucket ("jcr:Q1", "journal:NAME", ...)
+   */
+  isInBucket(journal, key) {
+    if (key.startsWith('journal:')) {
+      return (journal.name || '').toUpperCase() === key.slice('journal:'.length);
+    }
+    const bucket = this.RESULT_BUCKETS.find(b => b.key === key);
+    return !!bucket && bucket.test(journal);
+  },
+
+  /**
+   * Whether publication types fall into a summary bucket ("pub:rct", "notice:retracted")
+   */
+  isInPublicationBucket(publication, key) {
+    const [kind, value] = key.split(':');
+    return (kind === 'pub' ? publication.types : publication.notices).includes(value);
+  },
+
+  /**
+   * Insert the toolbar if needed and apply filters and sorting to all results
+   */
+  updateResults() {
+    const config = this.resultConfig;
+    if (!config) return;
+    const list = document.querySelector(config.list);
+    if (!list) return;
+    const prefix = this.CONSTANTS.BADGE_CLASS_PREFIX;
+
+    if (!this._resultToolbar || !this._resultToolbar.isConnected) {
+      this._resultToolbar = this.createResultToolbar();
+      const anchor = (config.toolbarBefore && document.querySelector(config.toolbarBefore)) || list;
+      anchor.parentNode.insertBefore(this._resultToolbar, anchor);
+    }
+
+    const results = this.getResults();
+    const sort = this.RESULT_SORTS[this.resultView.sort];
+    const sorted = config.sortable && sort && sort.key;
+
+    list.classList.toggle(`${prefix}results-sorted`, !!sorted);
+    if (config.group) {
+      list.querySelectorAll(config.group).forEach(group => group.classList.add(`${prefix}result-group`));
+    }
+
+    let keys = null;
+    if (sorted) {
+      keys = results.map((result, index) => {
+        const journal = result.match && result.match.journal;
+        const key = journal ? sort.key(journal) : null;
+        return { result, index, key: key === null ? Infinity : key };
+      });
+      keys.sort((a, b) => a.key - b.key || a.index - b.index);
+    }
+
+    let visible = 0;
+    results.forEach(result => {
+      result.element.classList.add(`${prefix}result`);
+      const show = this.isResultVisible(result.match, result.publication);
+      result.element.classList.toggle(`${prefix}result-filtered`, !show);
+      if (show) visible++;
+      result.element.style.order = '';
+    });
+    if (keys) {
+      keys.forEach((entry, order) => {
+        entry.result.element.style.order = order;
+      });
+    }
+
+    const count = this._resultToolbar.querySelector(`.${prefix}toolbar-count`);
+    count.textContent = `显示 ${visible}/${results.length} 篇`;
+    this.renderResultSummary(results);
+  },
+
+  /**
+   * Fill the summary panel with bucket counts and the most frequent journals
+   */
+  renderResultSummary(results) {
+    const prefix = this.CONSTANTS.BADGE_CLASS_PREFIX;
+    const panel = this._resultToolbar.querySelector(`.${prefix}summary`);
+    const body = panel.querySelector(`.${prefix}summary-body`);
+    body.textContent = '';
+
+    const journals = results
+      .map(result => result.match && result.match.journal)
+      .filter(Boolean);
+    const matched = journals.filter(journal => journal.issn || journal.eissn).length;
+
+    const groups = new Map();
+    for (const bucket of this.RESULT_BUCKETS) {
+      if (!groups.has(bucket.group)) groups.set(bucket.group, []);
+      groups.get(bucket.group).push({
+        key: bucket.key,
+        label: bucket.label,
+        count: journals.filter(bucket.test).length
+      });
+    }
+
+    // Study designs and notices (sites with publication types)
+    if (this.resultConfig.publication) {
+      const publications = results.map(result => result.publication).filter(Boolean);
+      const countOf = key => publications.filter(publication => this.isInPublicationBucket(publication, key)).length;
+      groups.set('研究类型', this.PUBLICATION_TYPES.map(type => ({
+        key: `pub:${type.key}`,
+        label: type.label,
+        count: countOf(`pub:${type.key}`)
+      })));
+      groups.set('声明', this.PUBLICATION_NOTICES.map(notice => ({
+        key: `notice:${notice.key}`,
+        label: notice.label,
+        count: countOf(`notice:${notice.key}`)
+      })));
+    }
+
+    // Most frequent journals
+    const frequency = new Map();
+    for (const journal of journals) {
+      const name = (journal.name || '').toUpperCase();
+      if (!name) continue;
+      if (!frequency.has(name)) {
+        frequency.set(name, {
+          key: `journal:${name}`,
+          label: this.toTitleCase(this.getDisplayName(journal.name)),
+          count: 0
+        });
+      }
+      frequency.get(name).count++;
+    }
+    const topJournals = [...frequency.values()]
+      .filter(entry => entry.count > 1)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, this.SUMMARY_TOP_JOURNALS);
+    if (topJournals.length > 0) groups.set('常见期刊', topJournals);
+
+    const createRow = (group, buckets) => {
+      const row = document.createElement('div');
+      row.className = `${prefix}summary-row`;
+
+      const label = document.createElement('span');
+      label.className = `${prefix}summary-group`;
+      label.textContent = group;
+      row.appendChild(label);
+
+      for (const bucket of buckets) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `${prefix}summary-bucket`;
+        if (this.resultView.bucket === bucket.key) button.classList.add(`${prefix}summary-active`);
+        button.disabled = bucket.count === 0 && this.resultView.bucket !== bucket.key;
+        button.textContent = `${bucket.label} ${bucket.count}`;
+        button.title = this.resultView.bucket === bucket.key ? '点击显示全部结果' : '点击只显示这些结果';
+        button.addEventListener('click', () => {
+          this.setResultView({ bucket: this.resultView.bucket === bucket.key ? null : bucket.key });
+        });
+        row.appendChild(button);
+      }
+      return row;
+    };
+
+    // Headline counts picked by the site (e.g. Q1 / 1区 / Top / 预警 papers of a profile)
+    const highlights = (this.resultConfig.highlights || [])
+      .map(key => this.RESULT_BUCKETS.find(bucket => bucket.key === key))
+      .filter(Boolean)
+      .map(bucket => ({
+        key: bucket.key,
+        label: bucket.group === '标识' ? bucket.label : `${bucket.group} ${bucket.label}`,
+        count: journals.filter(bucket.test).length
+      }));
+    if (highlights.length > 0) {
+      const row = createRow('概要', highlights);
+      row.classList.add(`${prefix}summary-highlights`);
+      body.appendChild(row);
+    }
+
+    const total = document.createElement('div');
+    total.className = `${prefix}summary-row`;
+    total.textContent = `共 ${results.length} 篇，匹配到期刊 ${matched} 篇`;
+    body.appendChild(total);
+
+    for (const [group, buckets] of groups) {
+      body.appendChild(createRow(group, buckets));
+    }
+  },
+
+  /**
+   * Build the filter/sort toolbar bound to resultView
+   */
+  createResultToolbar() {
+    const prefix = this.CONSTANTS.BADGE_CLASS_PREFIX;
+    const toolbar = document.createElement('div');
+    toolbar.className = `${prefix}toolbar`;
+
+    const createSelect = (options, value, onChange) => {
+      const select = document.createElement('select');
+      for (const key in options) {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = options[key].label;
+        select.appendChild(option);
+      }
+      select.value = value;
+      select.addEventListener('change', () => onChange(select.value));
+      return select;
+    };
+
+    const label = document.createElement('span');
+    label.className = `${prefix}toolbar-label`;
+    label.textContent = 'NiceMed';
+    toolbar.appendChild(label);
+
+    toolbar.appendChild(createSelect(this.RESULT_FILTERS, this.resultView.show,
+      value => this.setResultView({ show: value })));
+
+    const warningLabel = document.createElement('label');
+    const warning = document.createElement('input');
+    warning.type = 'checkbox';
+    warning.checked = this.resultView.hideWarning;
+    warning.addEventListener('change', () => this.setResultView({ hideWarning: warning.checked }));
+    warningLabel.appendChild(warning);
+    warningLabel.appendChild(document.createTextNode(' 隐藏预警期刊'));
+    toolbar.appendChild(warningLabel);
+
+    // Study design filter and retraction switch (publication types from pubtypes.js)
+    if (this.resultConfig.publication) {
+      const pubTypes = { all: { label: '全部研究类型' } };
+      for (const type of this.PUBLICATION_TYPES) {
+        pubTypes[type.key] = type;
+      }
+      toolbar.appendChild(createSelect(pubTypes, this.resultView.pubType,
+        value => this.setResultView({ pubType: value })));
+
+      const retractedLabel = document.createElement('label');
+      const retracted = document.createElement('input');
+      retracted.type = 'checkbox';
+      retracted.checked = this.resultView.hideRetracted;
+      retracted.addEventListener('change', () => this.setResultView({ hideRetracted: retracted.checked }));
+      retractedLabel.appendChild(retracted);
+      retractedLabel.appendChild(document.createTextNode(' 隐藏撤稿文章'));
+      toolbar.appendChild(retractedLabel);
+    }
+
+    if (this.resultConfig.sortable) {
+      toolbar.appendChild(createSelect(this.RESULT_SORTS, this.resultView.sort,
+        value => this.setResultView({ sort: value })));
+    }
+
+    // Citation copy (citation.js) and export (export.js) of visible results
+    if (this.resultConfig.extract) {
+      toolbar.appendChild(this.createCopyControl());
+      toolbar.appendChild(this.createExportControl());
+    }
+
+    const count = document.createElement('span');
+    count.className = `${prefix}toolbar-count`;
+    toolbar.appendChild(count);
+
+    // Collapsible summary of the results' journals
+    const summary = document.createElement('details');
+    summary.className = `${prefix}summary`;
+    summary.open = this.resultView.summaryOpen;
+    const heading = document.createElement('summary');
+    heading.textContent = '结果概览';
+    summary.appendChild(heading);
+    const body = document.createElement('div');
+    body.className = `${prefix}summary-body`;
+    summary.appendChild(body);
+    summary.addEventListener('toggle', () => {
+      if (summary.open !== this.resultView.summaryOpen) this.setResultView({ summaryOpen: summary.open });
+    });
+    toolbar.appendChild(summary);
+
+    return toolbar;
+  },
+
+  /**
+   * Update, persist and apply the result view
+   */
+  setResultView(changes) {
+    this.resultView = { ...this.resultView, ...changes };
+    try {
+      sessionStorage.setItem(this.RESULT_VIEW_KEY, JSON.stringify(this.resultView));
+    } catch (error) {
+      this.log('Failed to store result view:', error);
+    }
+    this.updateResults();
+  }
+});
@@ -1,14 +1,37 @@
 /**
  * NiceMed - Google Scholar Content Script
- * Adds journal badges and "Search in PubMed" button to each result.
+ * Adds journal badges and "Search in PubMed" button to each result, and
+ * journal badges with a paper summary to author profiles (citations?user=...).
  */
 
 (function () {
   const PROCESSED_ATTR = NiceMed.CONSTANTS.ATTR_PROCESSED;
+  const isProfilePage = location.pathname === '/citations' &&
+    new URLSearchParams(location.search).has('user');
+
+  NiceMed.setSite('scholar');
+  if (isProfilePage) {
+    // Profile papers are rows of a table; "Show more" appends rows to its body
+    NiceMed.setResultList({
+      item: 'tr.gsc_a_tr',
+      list: '#gsc_a_b',
+      toolbarBefore: '#gsc_a_t',
+      extract: extractProfileRow,
+      highlights: ['jcr:Q1', 'cas:1', 'flag:top', 'flag:warning']
+    });
+  } else {
+    NiceMed.setResultList({
+      item: '.gs_r.gs_or.gs_scl',
+      list: '#gs_res_ccl_mid',
+      extract: extractResult
+    });
+  }
 
   /**
    * Extract journal name from Scholar citation line (.gs_a)
    * Format: "Author1, Author2 - Journal Name, Year - Publisher"
+   * Long names are cut with "…" ("Journal of the American College of …");
+   * the background matches those by prefix.
    */
   function extractJournalFromCitation(citationEl) {
     if (!citationEl) return null;
@@ -22,19 +45,127 @@
     // Remove trailing year (", 2024" or ", 2023")
     const journalName = journalPart.replace(/,\s*\d{4}\s*$/, '').trim();
 
-    // Skip if it looks like a URL or empty
-    if (!journalName || journalName.includes('http') || journalName.length < 3) {
+    // Skip if it looks like a URL, a bare year or a publisher domain ("academic.oup.com"), or empty
+    if (!journalName || journalName.includes('http') || journalName.length < 3 ||
+      /^\d{4}$/.test(journalName) || /^[\w-]+(\.[\w-]+)+$/.test(journalName)) {
       return null;
     }
     return journalName;
   }
 
+  /**
+   * Publisher segment of the citation line ("Elsevier", "jacc.org"), used to
+   * tell apart journals a truncated name could belong to
+   */
+  function extractPublisherFromCitation(citationEl) {
+    if (!citationEl) return '';
+    const parts = citationEl.textContent.split(' - ');
+    return parts.length > 2 ? parts[parts.length - 1].trim() : '';
+  }
+
+  /**
+   * Remove [HTML], [PDF], [CITATION] and [BOOK] tags from a result title
+   */
+  function cleanTitle(text) {
+    return text.replace(/\[(HTML|PDF|CITATION|BOOK)\]\s*/gi, '').trim();
+  }
+
+  /**
+   * Bibliographic record of a search result (used by export)
+   */
+  function extractResult(result) {
+    const titleEl = result.querySelector('.gs_rt');
+    const citationEl = result.querySelector('.gs_a');
+    const link = titleEl && titleEl.querySelector('a[href]');
+    const parts = citationEl ? citationEl.textContent.split(' - ') : [];
+
+    // Authors may be cut off with "…"
+    const authors = (parts[0] || '')
+      .split(',')
+      .map(author => author.replace(/…/g, '').trim())
+      .filter(Boolean);
+    const year = (parts[1] || '').match(/\b(19|20)\d{2}\b/);
+    const doi = link ? decodeURIComponent(link.href).match(/10\.\d{4,9}\/[^\s?#&]+/) : null;
+
+    return {
+      title: titleEl ? cleanTitle(titleEl.textContent) : '',
+      authors,
+      journal: extractJournalFromCitation(citationEl) || '',
+      year: year ? year[0] : '',
+      doi: doi ? doi[0] : '',
+      url: link ? link.href : ''
+    };
+  }
+
+  /**
+   * Journal name from a profile row venue such as
+   * "Nature 577 (7788), 123-128, 2020" (volume, issue, pages and year removed)
+   */
+  function extractVenueName(venueEl) {
+    if (!venueEl) return null;
+    const venue = venueEl.textContent
+      .split(',')[0]
+      .replace(/\s+\d+\s*(\([^)]*\))?\s*$/, '')
+      .trim();
+
+    // Preprints, patents and theses have no journal metrics
+    if (venue.length < 3 || /\b(preprint|patent|thesis|dissertation)\b/i.test(venue)) return null;
+    return venue;
+  }
+
+  /**
+   * Bibliographic record of a profile row (used by export and copy)
+   */
+  function extractProfileRow(row) {
+    const titleEl = row.querySelector('.gsc_a_at');
+    const [authorsEl, venueEl] = row.querySelectorAll('.gs_gray');
+    const yearEl = row.querySelector('.gsc_a_y');
+    const venue = venueEl ? venueEl.textContent : '';
+
+    const source = venue.match(/\s(\d+)\s*(?:\(([^)]+)\))?,\s*([\w-]+),/);
+    const year = ((yearEl ? yearEl.textContent : '') || venue).match(/\b(19|20)\d{2}\b/);
+
+    return {
+      title: titleEl ? titleEl.textContent.trim() : '',
+      authors: authorsEl
+        ? authorsEl.textContent.split(',').map(author => author.replace(/\.{3}|…/g, '').trim()).filter(Boolean)
+        : [],
+      journal: extractVenueName(venueEl) || '',
+      year: year ? year[0] : '',
+      volume: source ? source[1] : '',
+      issue: source ? source[2] || '' : '',
+      pages: source ? source[3] : '',
+      url: titleEl && titleEl.href ? titleEl.href : ''
+    };
+  }
+
+  /**
+   * Add badges to the paper rows of an author profile
+   */
+  function processProfileRows() {
+    const badgeItems = [];
+
+    document.querySelectorAll('#gsc_a_b tr.gsc_a_tr').forEach(row => {
+      if (row.hasAttribute(PROCESSED_ATTR)) return;
+      row.setAttribute(PROCESSED_ATTR, 'true');
+
+      const venueEl = row.querySelectorAll('.gs_gray')[1];
+      const journalName = extractVenueName(venueEl);
+      if (journalName) {
+        badgeItems.push({ element: venueEl, query: { name: journalName }, insertPosition: 'after' });
+      }
+    });
+
+    NiceMed.addBadgesToElements(badgeItems);
+  }
+
   /**
    * Process search result items
    */
   function processSearchResults() {
     // Each search result is in a .gs_r.gs_or.gs_scl element
     const results = document.querySelectorAll('.gs_r.gs_or.gs_scl');
+    const badgeItems = [];
 
     results.forEach(result => {
       if (result.hasAttribute(PROCESSED_ATTR)) return;
@@ -45,8 +176,7 @@
       if (!titleEl) return;
 
       // Clean title text - remove [HTML], [PDF], [CITATION] tags anywhere
-      let title = titleEl.textContent;
-      title = title.replace(/\[(HTML|PDF|CITATION|BOOK)\]\s*/gi, '').trim();
+      const title = cleanTitle(titleEl.textContent);
 
       if (!title) return;
 
@@ -59,7 +189,10 @@
       const journalName = extractJournalFromCitation(citationEl);
 
       if (journalName) {
-        NiceMed.addBadgesToElement(citationEl, { name: journalName }, 'after');
+        const query = { name: journalName };
+        const publisher = extractPublisherFromCitation(citationEl);
+        if (publisher) query.publisher = publisher;
+        badgeItems.push({ element: citationEl, query, insertPosition: 'after' });
       }
 
       // 4. Add "Search in PubMed" button
@@ -71,6 +204,9 @@
         createAndInsertButton(citationEl, title, true);
       }
     });
+
+    // Resolve all results on the page in one background round trip
+    NiceMed.addBadgesToElements(badgeItems);
   }
 
   /**
@@ -88,21 +224,59 @@
     } else {
       container.appendChild(button);
     }
+    resolvePubmedButton(button, title);
+  }
+
+  /**
+   * Turn the button into a direct link when the title matches exactly one
+   * PubMed record (NCBI esearch, optional, see settings); otherwise it stays
+   * a title search
+   */
+  async function resolvePubmedButton(button, title) {
+    await NiceMed.ready;
+    // Scholar cuts long titles with "…", which can never match exactly
+    if (!NiceMed.settings.scholarPubmedResolve || /…\s*$/.test(title)) return;
+
+    let pmid = '';
+    try {
+      pmid = await browser.runtime.sendMessage({ type: 'findPmidByTitle', title });
+    } catch (error) {
+      NiceMed.log('esearch lookup failed:', error);
+    }
+    if (!pmid) return;
+
+    button.href = `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`;
+    button.textContent = `PMID: ${pmid}`;
+    button.title = '在 PubMed 中打开（标题唯一匹配）';
+    button.classList.add('nicemed-pubmed-resolved');
   }
 
   /**
    * Initialize
    */
   function init() {
-    processSearchResults();
+    const process = isProfilePage ? processProfileRows : processSearchResults;
+    process();
 
-    // Observer for dynamic content (pagination, etc.)
+    // Observer for dynamic content (pagination, profile "Show more", etc.)
     let timeout = null;
     const observer = new MutationObserver((mutations) => {
+      // Filter out self-mutations (badges and buttons inserted by NiceMed, and
+      // changes inside them such as the resolved PubMed button text)
+      const hasRelevantMutation = mutations.some(m => {
+        if (m.target.nodeType === 1 && m.target.closest('[class*="nicemed-"]')) return false;
+        for (const node of m.addedNodes) {
+          if (node.nodeType === 1 && typeof node.className === 'string' &&
+            node.className.includes('nicemed-')) {
+            return false;
+          }
+        }
+        return m.addedNodes.length > 0;
+      });
+      if (!hasRelevantMutation) return;
+
       if (timeout) clearTimeout(timeout);
-      timeout = setTimeout(() => {
-        processSearchResults();
-      }, 500);
+      timeout = setTimeout(process, 500);
     });
 
     observer.observe(document.body, {
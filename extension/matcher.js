@@ -0,0 +1,354 @@
+/**
+ * NiceMed - Journal Matcher
+ * Name normalization, indexes and fuzzy scoring shared by the background
+ * script and scripts/benchmark-matcher.js
+ */
+
+/**
+ * Build exact name index: normalized name/alias -> journal
+ * Aliases are indexed in a second pass so they never shadow a full journal name.
+ */
+function buildNameIndex(journalData) {
+  const index = new Map();
+  for (const key in journalData) {
+    const journal = journalData[key];
+    if (journal.name) {
+      const normalized = normalizeJournalName(journal.name);
+      if (!index.has(normalized)) {
+        index.set(normalized, journal);
+      }
+    }
+  }
+  for (const key in journalData) {
+    const journal = journalData[key];
+    if (journal.aliases) {
+      for (const alias of journal.aliases) {
+        const normalizedAlias = normalizeJournalName(alias);
+        if (!index.has(normalizedAlias)) {
+          index.set(normalizedAlias, journal);
+        }
+      }
+    }
+  }
+  return index;
+}
+
+/**
+ * Build fuzzy candidate index over deduplicated journals.
+ *
+ * Every query word can only match a target word that starts with the same
+ * letter and contains the query word's second letter later on (prefix or
+ * subsequence, see calculateMatchScore). Each target word is therefore
+ * indexed under its first letter and under every "first letter + later
+ * letter" pair, e.g. HEALTH -> H, HE, HA, HL, HT, HH.
+ *
+ * journals.json lists each journal under both ISSN and eISSN; those
+ * duplicates are indexed once.
+ *
+ * @returns {{journals: Object[], words: string[][], firstChars: string[], keys: Map<string, number[]>}}
+ */
+function buildFuzzyIndex(journalData) {
+  const journals = [];
+  const words = [];
+  const firstChars = [];
+  const keys = new Map();
+  const seen = new Set();
+
+  for (const key in journalData) {
+    const journal = journalData[key];
+    if (!journal.name) continue;
+    const journalKey = journal.issn || journal.eissn || journal.name;
+    if (seen.has(journalKey)) continue;
+    seen.add(journalKey);
+
+    const id = journals.length;
+    journals.push(journal);
+    const journalWords = parseName(journal.name).words;
+    words.push(journalWords);
+    firstChars.push(nameFirstChar(journal.name));
+
+    const journalKeys = new Set();
+    for (const word of journalWords) {
+      journalKeys.add(word[0]);
+      for (let i = 1; i < word.length; i++) {
+        journalKeys.add(word[0] + word[i]);
+      }
+    }
+    for (const k of journalKeys) {
+      if (!keys.has(k)) keys.set(k, []);
+      keys.get(k).push(id);
+    }
+  }
+
+  return { journals, words, firstChars, keys };
+}
+
+/**
+ * First letter of a name ignoring punctuation; fuzzy matches must share it
+ */
+function nameFirstChar(name) {
+  return name.toUpperCase().replace(/[^A-Z0-9\s]/g, '').trim().charAt(0);
+}
+
+/**
+ * Index key a query word must share with a matching target word
+ */
+function fuzzyKey(word) {
+  return word.length > 1 ? word[0] + word[1] : word;
+}
+
+/**
+ * Find the best fuzzy match for a (possibly abbreviated) journal name
+ * @returns {{journal: Object|null, score: number, candidates: Array<{journal: Object, score: number}>}}
+ *   candidates are the highest scoring journals, best first
+ */
+function findFuzzyMatch(fuzzyIndex, name, maxCandidates = 3) {
+  const query = parseName(name);
+  const result = { journal: null, score: 0, candidates: [] };
+  if (query.words.length === 0) return result;
+
+  const startChar = nameFirstChar(name);
+
+  // A score of 80 needs at least 80% of the query words matched
+  const required = Math.ceil(query.words.length * 0.8 - 1e-9);
+  const counts = new Map();
+  for (const word of query.words) {
+    const ids = fuzzyIndex.keys.get(fuzzyKey(word));
+    if (!ids) continue;
+    for (const id of ids) {
+      counts.set(id, (counts.get(id) || 0) + 1);
+    }
+  }
+
+  // Ascending id keeps the data file order, so ties resolve like a linear scan
+  const candidateIds = [];
+  for (const [id, count] of counts) {
+    if (count >= required && fuzzyIndex.firstChars[id] === startChar) {
+      candidateIds.push(id);
+    }
+  }
+  candidateIds.sort((a, b) => a - b);
+
+  const scored = [];
+  for (const id of candidateIds) {
+    const score = scoreWords(query.words, fuzzyIndex.words[id]);
+    if (score > 0) {
+      scored.push({ journal: fuzzyIndex.journals[id], score });
+    }
+  }
+  // Stable sort keeps the first journal among equal scores
+  scored.sort((a, b) => b.score - a.score);
+
+  if (scored.length > 0) {
+    result.journal = scored[0].journal;
+    result.score = scored[0].score;
+  }
+  result.candidates = scored.slice(0, maxCandidates);
+  return result;
+}
+
+/**
+ * Whether a site cut the name off, e.g. Scholar's "Journal of the American College of …"
+ */
+function isTruncatedName(name) {
+  return /(…|\.\.\.)\s*$/.test(name);
+}
+
+/**
+ * Match a truncated name: the visible words must start the journal name
+ * (the last one may be cut mid-word). Candidates are ranked by how much of
+ * the name the visible part covers. Since any of them may continue the cut
+ * name, the result is ambiguous when several remain, unless a publisher hint
+ * such as "jacc.org" or "nejm.org" singles one out.
+ * @param {string} [publisher] - Publisher segment shown next to the name
+ * @returns {{journal: Object|null, score: number, candidates: Array<{journal: Object, score: number}>, ambiguous: boolean}}
+ */
+function findPrefixMatch(fuzzyIndex, name, publisher = '', maxCandidates = 5) {
+  const visible = name.replace(/(…|\.\.\.)\s*$/, '');
+  const query = parseName(visible);
+  const result = { journal: null, score: 0, candidates: [], ambiguous: false };
+
+  // Too little left to tell journals apart ("J …")
+  if (query.words.length === 0 || normalizeJournalName(visible).length < 4) return result;
+
+  const hint = normalizeJournalName(publisher);
+  const qLast = query.words.length - 1;
+  const scored = [];
+
+  // Compared word by word after parseName, so a leading "The" on either side
+  // ("The Lancet Onc…" vs LANCET ONCOLOGY) does not matter
+  for (const id of fuzzyIndex.keys.get(fuzzyKey(query.words[0])) || []) {
+    const words = fuzzyIndex.words[id];
+    if (words.length <= qLast) continue;
+    if (!query.words.every((word, i) => (i < qLast ? words[i] === word : words[i].startsWith(word)))) continue;
+
+    // Share of the journal name that is visible
+    const score = (qLast + query.words[qLast].length / words[qLast].length) / words.length * 100;
+    const hinted = !!hint && matchesPublisherHint(words, qLast + 1, hint);
+    scored.push({ journal: fuzzyIndex.journals[id], score, hinted });
+  }
+  if (scored.length === 0) return result;
+
+  // Publisher-hinted journals first, then by coverage
+  scored.sort((a, b) => b.hinted - a.hinted || b.score - a.score);
+  const hintedCount = scored.filter(candidate => candidate.hinted).length;
+  result.journal = scored[0].journal;
+  result.score = scored[0].score;
+  result.candidates = scored.slice(0, maxCandidates).map(({ journal, score }) => ({ journal, score }));
+  result.ambiguous = scored.length > 1 && hintedCount !== 1;
+  return result;
+}
+
+/**
+ * Whether a normalized publisher hint names the journal: it contains one of
+ * the hidden words (after the visible prefix) or the journal's initials,
+ * e.g. "JACCORG" for Journal of the American College of Cardiology
+ */
+function matchesPublisherHint(words, visibleCount, hint) {
+  const hidden = words.slice(visibleCount).filter(word => word.length >= 4);
+  if (hidden.some(word => hint.includes(word))) return true;
+
+  const initials = words
+    .filter(word => !['OF', 'AND', 'IN', 'ON', 'FOR'].includes(word))
+    .map(word => word[0])
+    .join('');
+  return initials.length >= 3 && hint.includes(initials);
+}
+
+/**
+ * Calculate similarity score between query (potential abbreviation) and target (full name)
+ * Handles "J Biol Chem" matching "Journal of Biological Chemistry"
+ */
+function calculateMatchScore(query, target) {
+  if (!query || !target) return 0;
+  return scoreWords(parseName(query).words, parseName(target).words);
+}
+
+/**
+ * Score parsed query words against parsed target words (see calculateMatchScore)
+ */
+function scoreWords(qWords, tWords) {
+  // If query has more words than target, it's unlikely a match
+  if (qWords.length > tWords.length) return 0;
+
+  // Check for suspicious truncation (query ending in OF, AND, etc.)
+  // This prevents "Journal of..." matching "Journal of Finance" or "Burns &..." matching "Burns & Trauma"
+  if (qWords.length > 0) {
+    const lastQWord = qWords[qWords.length - 1];
+    const suspiciousEndings = new Set(['OF', 'AND', 'THE', 'A', 'AN', 'IN', 'ON', 'FOR']);
+    if (suspiciousEndings.has(lastQWord)) {
+      return 0;
+    }
+  }
+
+  // Check word coverage
+  let matchCount = 0;
+  let qIndex = 0;
+  let tIndex = 0;
+
+  while (qIndex < qWords.length && tIndex < tWords.length) {
+    const qWord = qWords[qIndex];
+    const tWord = tWords[tIndex];
+
+    // Check if qWord is a prefix of tWord
+    if (tWord.startsWith(qWord)) {
+      matchCount++;
+      qIndex++;
+      tIndex++;
+    } else if (isSubsequence(qWord, tWord)) {
+      // Allow subsequence match for abbreviations like NATL -> NATIONAL
+      matchCount++;
+      qIndex++;
+      tIndex++;
+    } else {
+      // Try skipping target word
+      tIndex++;
+    }
+  }
+
+  // Score calculation
+  const coverage = matchCount / qWords.length;
+  let score = coverage * 100;
+
+  // Tie-breaker: Penalize targets with extra words that were not matched
+  if (score >= 90) {
+    const extraWords = Math.max(0, tWords.length - matchCount);
+    score -= Math.min(20, extraWords * 2);
+  }
+
+  return Math.max(0, score);
+}
+
+/**
+ * Check if s1 is a subsequence of s2 (characters of s1 appear in s2 in order)
+ * e.g. NATL in NATIONAL -> true
+ */
+function isSubsequence(s1, s2) {
+  if (s1.length > s2.length) return false;
+  if (s1[0] !== s2[0]) return false; // First char must match for abbreviations
+
+  let i = 0; // index for s1
+  let j = 0; // index for s2
+
+  while (i < s1.length && j < s2.length) {
+    if (s1[i] === s2[j]) {
+      i++;
+    }
+    j++;
+  }
+  return i === s1.length;
+}
+
+/**
+ * Parse name into normalized words, ignoring stop words
+ */
+function parseName(name) {
+  const stopWords = new Set(['THE', 'A', 'AN']);
+  const words = name.toUpperCase()
+    .replace(/&/g, ' AND ') // Convert & to AND explicitly
+    .replace(/[^A-Z0-9\s]/g, ' ') // Replace punctuation with space
+    .split(/\s+/)
+    .filter(w => w.length > 0 && !stopWords.has(w));
+
+  return { words, original: name };
+}
+
+/**
+ * Normalize ISSN format (preserve hyphen to match journals.json keys)
+ */
+function normalizeISSN(issn) {
+  if (!issn) return "";
+  // Remove spaces, ensure uppercase, preserve hyphen
+  issn = issn.replace(/\s/g, "").toUpperCase();
+  // Add hyphen if missing (8 digits without hyphen)
+  if (issn.length === 8 && !issn.includes('-')) {
+    issn = issn.slice(0, 4) + '-' + issn.slice(4);
+  }
+  return issn;
+}
+
+/**
+ * Normalize journal name for comparison
+ */
+function normalizeJournalName(name) {
+  if (!name) return "";
+  return name
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+    .trim();
+}
+
+// Allow Node scripts (benchmark) to reuse the matcher
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildNameIndex,
+    buildFuzzyIndex,
+    findFuzzyMatch,
+    isTruncatedName,
+    findPrefixMatch,
+    calculateMatchScore,
+    parseName,
+    normalizeISSN,
+    normalizeJournalName
+  };
+}
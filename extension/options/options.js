@@ -0,0 +1,640 @@
+/**
+ * NiceMed - Options Page
+ * Reads and writes user settings in browser.storage.sync and
+ * manages locally stored data (match corrections, custom journal lists,
+ * tier rules) in browser.storage.local
+ */
+
+(function () {
+  const DEFAULTS = NiceMedConstants.DEFAULT_SETTINGS;
+
+  const badgesEl = document.getElementById('badges');
+  const sitesBody = document.querySelector('#sites tbody');
+  const subcategoriesInput = document.getElementById('preferredSubcategories');
+  const categoriesEl = document.getElementById('categories');
+  const statusEl = document.getElementById('status');
+  const overrideCountEl = document.getElementById('overrideCount');
+  const overrideFileInput = document.getElementById('overrideFile');
+  const customListsEl = document.getElementById('customLists');
+  const customListFileInput = document.getElementById('customListFile');
+  const customListNameInput = document.getElementById('customListName');
+  const customListLabelInput = document.getElementById('customListLabel');
+  const customListColorInput = document.getElementById('customListColor');
+  const tierRulesInput = document.getElementById('tierRules');
+  const rulesErrorEl = document.getElementById('rulesError');
+  const rulesFileInput = document.getElementById('rulesFile');
+  const publisherAllSitesInput = document.getElementById('publisherAllSites');
+  const publisherSitesEl = document.getElementById('publisherSites');
+  const publisherDeniedEl = document.getElementById('publisherDeniedSites');
+  const publisherSiteInput = document.getElementById('publisherSiteInput');
+  const publisherDeniedInput = document.getElementById('publisherDeniedInput');
+  const pubmedEsummaryInput = document.getElementById('pubmedEsummary');
+  const scholarPubmedResolveInput = document.getElementById('scholarPubmedResolve');
+  const eutilsBaseUrlInput = document.getElementById('eutilsBaseUrl');
+  const eutilsApiKeyInput = document.getElementById('eutilsApiKey');
+
+  /**
+   * Show a short status message next to the save button
+   */
+  function showStatus(text) {
+    statusEl.textContent = text;
+    setTimeout(() => {
+      statusEl.textContent = '';
+    }, 1500);
+  }
+
+  /**
+   * Render one checkbox per discipline in the loaded dataset
+   */
+  async function renderCategories(hiddenCategories) {
+    const status = await browser.runtime.sendMessage({ type: 'getStatus' });
+    const counts = (status && status.meta && status.meta.categories) || {};
+
+    // Keep hidden disciplines visible even if the current build lacks them
+    const names = new Set([...Object.keys(counts), ...hiddenCategories]);
+
+    categoriesEl.textContent = '';
+    for (const name of [...names].sort((a, b) => (counts[b] || 0) - (counts[a] || 0))) {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = name;
+      checkbox.checked = !hiddenCategories.includes(name);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${name} (${counts[name] || 0})`));
+      categoriesEl.appendChild(label);
+    }
+  }
+
+  /**
+   * Render badge list (checkbox + move buttons) in the stored order
+   */
+  function renderBadges(badgeOrder, hiddenBadges) {
+    const types = NiceMedConstants.BADGE_TYPES;
+    const known = types.map(type => type.key);
+    const order = badgeOrder.filter(key => known.includes(key));
+    for (const key of known) {
+      if (!order.includes(key)) order.push(key);
+    }
+
+    badgesEl.textContent = '';
+    for (const key of order) {
+      const type = types.find(t => t.key === key);
+      const item = document.createElement('li');
+      item.dataset.key = key;
+
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !hiddenBadges.includes(key);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${type.label}`));
+      item.appendChild(label);
+
+      const up = document.createElement('button');
+      up.textContent = '↑';
+      up.addEventListener('click', () => {
+        if (item.previousElementSibling) badgesEl.insertBefore(item, item.previousElementSibling);
+      });
+      const down = document.createElement('button');
+      down.textContent = '↓';
+      down.addEventListener('click', () => {
+        if (item.nextElementSibling) badgesEl.insertBefore(item.nextElementSibling, item);
+      });
+      item.appendChild(up);
+      item.appendChild(down);
+      badgesEl.appendChild(item);
+    }
+  }
+
+  /**
+   * Render per-site switches
+   */
+  function renderSites(settings) {
+    sitesBody.textContent = '';
+    const addCheckbox = (row, name, checked, available = true) => {
+      const cell = row.insertCell();
+      if (!available) {
+        cell.textContent = '—';
+        return;
+      }
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.name = name;
+      checkbox.checked = checked;
+      cell.appendChild(checkbox);
+    };
+
+    for (const site of NiceMedConstants.SITES) {
+      const row = sitesBody.insertRow();
+      row.dataset.site = site.key;
+      row.insertCell().textContent = site.label;
+      addCheckbox(row, 'badges', !settings.disabledSites.includes(site.key));
+      addCheckbox(row, 'copyButton', !settings.hiddenCopyButtonSites.includes(site.key), site.copyButton);
+      addCheckbox(row, 'pubmedButton', settings.scholarPubmedButton, site.key === 'scholar');
+    }
+  }
+
+  /**
+   * Populate form from stored settings
+   */
+  async function restore() {
+    const settings = await browser.storage.sync.get(DEFAULTS);
+    renderBadges(settings.badgeOrder || [], settings.hiddenBadges || []);
+    const labelStyle = document.querySelector(`input[name="labelStyle"][value="${settings.labelStyle}"]`)
+      || document.querySelector('input[name="labelStyle"][value="full"]');
+    labelStyle.checked = true;
+    renderSites(settings);
+
+    subcategoriesInput.value = (settings.preferredSubcategories || []).join('\n');
+    pubmedEsummaryInput.checked = settings.pubmedEsummary;
+    scholarPubmedResolveInput.checked = settings.scholarPubmedResolve;
+    eutilsBaseUrlInput.value = settings.eutilsBaseUrl;
+    eutilsApiKeyInput.value = settings.eutilsApiKey;
+    await renderCategories(settings.hiddenCategories || []);
+  }
+
+  /**
+   * Save form values to storage
+   */
+  async function save() {
+    // E-utilities endpoint; the permission request must start directly from the click
+    const eutilsBaseUrl = eutilsBaseUrlInput.value.trim() || DEFAULTS.eutilsBaseUrl;
+    let eutilsOrigin;
+    try {
+      const url = new URL(eutilsBaseUrl);
+      if (!/^https?:$/.test(url.protocol)) throw new Error(url.protocol);
+      eutilsOrigin = `${url.protocol}//${url.hostname}/*`;
+    } catch (error) {
+      showStatus('接口地址格式不正确');
+      return;
+    }
+    const eutilsGranted = (pubmedEsummaryInput.checked || scholarPubmedResolveInput.checked) &&
+      await browser.permissions.request({ origins: [eutilsOrigin] });
+    const pubmedEsummary = pubmedEsummaryInput.checked && eutilsGranted;
+    const scholarPubmedResolve = scholarPubmedResolveInput.checked && eutilsGranted;
+    const eutilsApiKey = eutilsApiKeyInput.value.trim();
+    pubmedEsummaryInput.checked = pubmedEsummary;
+    scholarPubmedResolveInput.checked = scholarPubmedResolve;
+    eutilsBaseUrlInput.value = eutilsBaseUrl;
+
+    const preferredSubcategories = subcategoriesInput.value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0);
+
+    const hiddenCategories = [...categoriesEl.querySelectorAll('input[type="checkbox"]')]
+      .filter(checkbox => !checkbox.checked)
+      .map(checkbox => checkbox.value);
+
+    const badgeItems = [...badgesEl.children];
+    const badgeOrder = badgeItems.map(item => item.dataset.key);
+    const hiddenBadges = badgeItems
+      .filter(item => !item.querySelector('input[type="checkbox"]').checked)
+      .map(item => item.dataset.key);
+    const labelStyle = document.querySelector('input[name="labelStyle"]:checked').value;
+
+    const disabledSites = [];
+    const hiddenCopyButtonSites = [];
+    let scholarPubmedButton = DEFAULTS.scholarPubmedButton;
+    for (const row of sitesBody.rows) {
+      const site = row.dataset.site;
+      const badges = row.querySelector('input[name="badges"]');
+      const copyButton = row.querySelector('input[name="copyButton"]');
+      const pubmedButton = row.querySelector('input[name="pubmedButton"]');
+      if (badges && !badges.checked) disabledSites.push(site);
+      if (copyButton && !copyButton.checked) hiddenCopyButtonSites.push(site);
+      if (pubmedButton) scholarPubmedButton = pubmedButton.checked;
+    }
+
+    await browser.storage.sync.set({
+      badgeOrder,
+      hiddenBadges,
+      labelStyle,
+      disabledSites,
+      hiddenCopyButtonSites,
+      scholarPubmedButton,
+      preferredSubcategories,
+      hiddenCategories,
+      pubmedEsummary,
+      scholarPubmedResolve,
+      eutilsBaseUrl,
+      eutilsApiKey
+    });
+    showStatus('已保存');
+  }
+
+  /**
+   * Offer JSON data as a file download
+   */
+  function downloadJSON(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Read a user-selected file as JSON
+   */
+  async function readJSONFile(file) {
+    return JSON.parse(await file.text());
+  }
+
+  /**
+   * Show the number of stored match corrections
+   */
+  async function renderOverrideCount() {
+    const { journalOverrides } = await browser.storage.local.get({ journalOverrides: {} });
+    overrideCountEl.textContent = Object.keys(journalOverrides || {}).length;
+  }
+
+  async function exportOverrides() {
+    const { journalOverrides } = await browser.storage.local.get({ journalOverrides: {} });
+    downloadJSON('nicemed-overrides.json', {
+      type: 'nicemed-overrides',
+      version: 1,
+      overrides: journalOverrides || {}
+    });
+  }
+
+  async function importOverrides() {
+    const file = overrideFileInput.files[0];
+    overrideFileInput.value = '';
+    if (!file) return;
+
+    try {
+      const data = await readJSONFile(file);
+      const imported = data && data.overrides;
+      if (!imported || typeof imported !== 'object') {
+        throw new Error('Missing "overrides" object');
+      }
+
+      // Only keep well-formed entries
+      const valid = {};
+      for (const key in imported) {
+        const entry = imported[key];
+        if (entry && typeof entry.issn === 'string') {
+          valid[key] = entry;
+        }
+      }
+
+      const { journalOverrides } = await browser.storage.local.get({ journalOverrides: {} });
+      await browser.storage.local.set({ journalOverrides: { ...journalOverrides, ...valid } });
+      await renderOverrideCount();
+      showStatus(`已导入 ${Object.keys(valid).length} 条纠正`);
+    } catch (error) {
+      console.error('Import failed:', error);
+      showStatus('导入失败：文件格式不正确');
+    }
+  }
+
+  async function clearOverrides() {
+    if (!confirm('确定清空所有匹配纠正？')) return;
+    await browser.storage.local.set({ journalOverrides: {} });
+    await renderOverrideCount();
+    showStatus('已清空');
+  }
+
+  /**
+   * Parse CSV text into rows of fields (quoted fields may contain commas,
+   * doubled quotes and newlines)
+   */
+  function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    text = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim()));
+  }
+
+  /**
+   * Read list entries ({issn, eissn, name, tier}) from a CSV or JSON file
+   */
+  async function readListEntries(file) {
+    const text = await file.text();
+    if (/\.json$/i.test(file.name) || /^\s*[[{]/.test(text)) {
+      const data = JSON.parse(text);
+      const entries = Array.isArray(data) ? data : data && data.journals;
+      if (!Array.isArray(entries)) throw new Error('Expected an array or {"journals": [...]}');
+      return entries;
+    }
+
+    const [header, ...rows] = parseCSV(text);
+    if (!header) return [];
+    const columns = header.map(name => name.trim().toLowerCase());
+    const nameColumn = columns.includes('name') ? 'name' : 'journal';
+    return rows.map(values => {
+      const entry = {};
+      columns.forEach((column, i) => {
+        entry[column === nameColumn ? 'name' : column] = (values[i] || '').trim();
+      });
+      return entry;
+    });
+  }
+
+  /**
+   * Build a stored list from parsed entries; entries are indexed by
+   * normalized ISSN/eISSN and name so the background can look them up directly
+   */
+  function buildCustomList(entries, name, label, color) {
+    const list = { id: `list-${Date.now()}`, name, label, color, issns: {}, names: {}, count: 0 };
+    for (const entry of entries) {
+      if (!entry || typeof entry !== 'object') continue;
+      const value = {
+        name: String(entry.name || entry.journal || ''),
+        tier: String(entry.tier || '')
+      };
+      const issns = [entry.issn, entry.eissn]
+        .filter(issn => typeof issn === 'string' && issn.trim())
+        .map(normalizeISSN);
+      const normalizedName = normalizeJournalName(value.name);
+      if (issns.length === 0 && !normalizedName) continue;
+
+      for (const issn of issns) list.issns[issn] = value;
+      if (normalizedName) list.names[normalizedName] = value;
+      list.count++;
+    }
+    return list;
+  }
+
+  /**
+   * Show imported lists with a delete button each
+   */
+  async function renderCustomLists() {
+    const { customLists } = await browser.storage.local.get({ customLists: [] });
+    customListsEl.textContent = '';
+    for (const list of customLists || []) {
+      const item = document.createElement('li');
+
+      const swatch = document.createElement('span');
+      swatch.className = 'nicemed-list-swatch';
+      swatch.style.backgroundColor = list.color;
+      item.appendChild(swatch);
+
+      const name = document.createElement('span');
+      name.className = 'nicemed-list-name';
+      name.textContent = `${list.name}（标签 "${list.label}"，${list.count} 种期刊）`;
+      item.appendChild(name);
+
+      const remove = document.createElement('button');
+      remove.textContent = '删除';
+      remove.addEventListener('click', () => deleteCustomList(list.id));
+      item.appendChild(remove);
+
+      customListsEl.appendChild(item);
+    }
+  }
+
+  async function importCustomList() {
+    const file = customListFileInput.files[0];
+    customListFileInput.value = '';
+    if (!file) return;
+
+    const name = customListNameInput.value.trim() || file.name.replace(/\.[^.]+$/, '');
+    const label = customListLabelInput.value.trim() || name;
+
+    try {
+      const list = buildCustomList(await readListEntries(file), name, label, customListColorInput.value);
+      if (list.count === 0) {
+        throw new Error('No entries with issn, eissn or name');
+      }
+
+      const { customLists } = await browser.storage.local.get({ customLists: [] });
+      await browser.storage.local.set({ customLists: [...(customLists || []), list] });
+      customListNameInput.value = '';
+      customListLabelInput.value = '';
+      await renderCustomLists();
+      showStatus(`已导入 ${list.count} 种期刊`);
+    } catch (error) {
+      console.error('Import failed:', error);
+      showStatus('导入失败：文件格式不正确');
+    }
+  }
+
+  async function deleteCustomList(id) {
+    const { customLists } = await browser.storage.local.get({ customLists: [] });
+    const list = (customLists || []).find(l => l.id === id);
+    if (!list || !confirm(`确定删除列表"${list.name}"？`)) return;
+    await browser.storage.local.set({ customLists: customLists.filter(l => l.id !== id) });
+    await renderCustomLists();
+  }
+
+  /**
+   * Host name from user input ("www.example.com" or a full URL)
+   */
+  function parseHost(text) {
+    text = text.trim();
+    if (!text) return null;
+    try {
+      return new URL(text.includes('://') ? text : `https://${text}`).hostname;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Render publisher allow/deny lists with a remove button per host
+   */
+  async function renderPublisherSites() {
+    const settings = await browser.storage.sync.get({
+      publisherSites: DEFAULTS.publisherSites,
+      publisherDeniedSites: DEFAULTS.publisherDeniedSites,
+      publisherAllSites: DEFAULTS.publisherAllSites
+    });
+    publisherAllSitesInput.checked = settings.publisherAllSites;
+
+    const renderList = (listEl, hosts, onRemove) => {
+      listEl.textContent = '';
+      for (const host of hosts) {
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        name.className = 'nicemed-list-name';
+        name.textContent = host;
+        item.appendChild(name);
+        const remove = document.createElement('button');
+        remove.textContent = '移除';
+        remove.addEventListener('click', () => onRemove(host));
+        item.appendChild(remove);
+        listEl.appendChild(item);
+      }
+    };
+    renderList(publisherSitesEl, settings.publisherSites, removePublisherSite);
+    renderList(publisherDeniedEl, settings.publisherDeniedSites, removePublisherDenied);
+  }
+
+  /**
+   * Add an entry to one publisher list and drop it from the other
+   */
+  async function updatePublisherLists(host, addTo, removeFrom) {
+    const stored = await browser.storage.sync.get({ [addTo]: [], [removeFrom]: [] });
+    await browser.storage.sync.set({
+      [addTo]: [...new Set([...stored[addTo], host])],
+      [removeFrom]: stored[removeFrom].filter(h => h !== host)
+    });
+    await renderPublisherSites();
+  }
+
+  async function addPublisherSite() {
+    const host = parseHost(publisherSiteInput.value);
+    if (!host) {
+      showStatus('网址格式不正确');
+      return;
+    }
+    // Permission requests must start directly from the click
+    const granted = await browser.permissions.request({ origins: [`*://${host}/*`] });
+    if (!granted) return;
+    publisherSiteInput.value = '';
+    await updatePublisherLists(host, 'publisherSites', 'publisherDeniedSites');
+  }
+
+  async function removePublisherSite(host) {
+    await browser.permissions.remove({ origins: [`*://${host}/*`] });
+    const { publisherSites } = await browser.storage.sync.get({ publisherSites: [] });
+    await browser.storage.sync.set({ publisherSites: publisherSites.filter(h => h !== host) });
+    await renderPublisherSites();
+  }
+
+  async function addPublisherDenied() {
+    const host = parseHost(publisherDeniedInput.value);
+    if (!host) {
+      showStatus('网址格式不正确');
+      return;
+    }
+    publisherDeniedInput.value = '';
+    await updatePublisherLists(host, 'publisherDeniedSites', 'publisherSites');
+  }
+
+  async function removePublisherDenied(host) {
+    const { publisherDeniedSites } = await browser.storage.sync.get({ publisherDeniedSites: [] });
+    await browser.storage.sync.set({ publisherDeniedSites: publisherDeniedSites.filter(h => h !== host) });
+    await renderPublisherSites();
+  }
+
+  async function togglePublisherAllSites() {
+    const enabled = publisherAllSitesInput.checked;
+    if (enabled) {
+      const granted = await browser.permissions.request({ origins: ['<all_urls>'] });
+      if (!granted) {
+        publisherAllSitesInput.checked = false;
+        return;
+      }
+    } else {
+      await browser.permissions.remove({ origins: ['<all_urls>'] });
+    }
+    await browser.storage.sync.set({ publisherAllSites: enabled });
+  }
+
+  /**
+   * Show stored tier rules and the list of fields they may use
+   */
+  async function renderRules() {
+    const { tierRules } = await browser.storage.local.get({ tierRules: [] });
+    tierRulesInput.value = formatRulesText(tierRules || []);
+    document.getElementById('ruleFields').textContent = Object.keys(RULE_FIELDS)
+      .map(key => `${key}（${RULE_FIELDS[key].label}）`)
+      .join('、');
+  }
+
+  async function saveRules() {
+    let tierRules;
+    try {
+      tierRules = parseRulesText(tierRulesInput.value);
+    } catch (error) {
+      rulesErrorEl.textContent = error.message;
+      return;
+    }
+    rulesErrorEl.textContent = '';
+    await browser.storage.local.set({ tierRules });
+    showStatus(`已保存 ${tierRules.length} 条规则`);
+  }
+
+  async function exportRules() {
+    const { tierRules } = await browser.storage.local.get({ tierRules: [] });
+    downloadJSON('nicemed-rules.json', {
+      type: 'nicemed-rules',
+      version: 1,
+      rules: tierRules || []
+    });
+  }
+
+  async function importRules() {
+    const file = rulesFileInput.files[0];
+    rulesFileInput.value = '';
+    if (!file) return;
+
+    try {
+      const data = await readJSONFile(file);
+      if (!data || !Array.isArray(data.rules)) {
+        throw new Error('Missing "rules" array');
+      }
+      // Imported rules replace the current ones; the order matters
+      const tierRules = data.rules.map(rule => {
+        const { tier, when } = compileRule(rule);
+        return { tier, when };
+      });
+      await browser.storage.local.set({ tierRules });
+      rulesErrorEl.textContent = '';
+      await renderRules();
+      showStatus(`已导入 ${tierRules.length} 条规则`);
+    } catch (error) {
+      console.error('Import failed:', error);
+      showStatus('导入失败：文件格式不正确');
+    }
+  }
+
+  document.getElementById('save').addEventListener('click', save);
+  document.getElementById('exportOverrides').addEventListener('click', exportOverrides);
+  document.getElementById('importOverrides').addEventListener('click', () => overrideFileInput.click());
+  document.getElementById('clearOverrides').addEventListener('click', clearOverrides);
+  overrideFileInput.addEventListener('change', importOverrides);
+  document.getElementById('importCustomList').addEventListener('click', () => customListFileInput.click());
+  customListFileInput.addEventListener('change', importCustomList);
+  document.getElementById('addPublisherSite').addEventListener('click', addPublisherSite);
+  document.getElementById('addPublisherDenied').addEventListener('click', addPublisherDenied);
+  publisherAllSitesInput.addEventListener('change', togglePublisherAllSites);
+  document.getElementById('saveRules').addEventListener('click', saveRules);
+  document.getElementById('exportRules').addEventListener('click', exportRules);
+  document.getElementById('importRules').addEventListener('click', () => rulesFileInput.click());
+  rulesFileInput.addEventListener('change', importRules);
+  restore();
+  renderOverrideCount();
+  renderCustomLists();
+  renderRules();
+  renderPublisherSites();
+})();
@@ -0,0 +1,264 @@
+/**
+ * NiceMed - Toolbar Popup
+ * Searches the local journal dataset and shows a detail card for the selection;
+ * also enables the publisher page script for the current tab's site
+ */
+
+(function () {
+  const searchInput = document.getElementById('search');
+  const suggestionsEl = document.getElementById('suggestions');
+  const detailEl = document.getElementById('detail');
+  const versionsEl = document.getElementById('versions');
+  const siteEl = document.getElementById('site');
+
+  let results = [];
+  let activeIndex = -1;
+  let searchId = 0;
+
+  /**
+   * Render ranked suggestions for the current search text
+   */
+  async function updateSuggestions() {
+    const text = searchInput.value.trim();
+    const id = ++searchId;
+    const found = text
+      ? await browser.runtime.sendMessage({ type: 'searchJournals', text, limit: 8 })
+      : [];
+    // A slower earlier search must not replace the results of a later one
+    if (id !== searchId) return;
+    results = found;
+    activeIndex = results.length > 0 ? 0 : -1;
+
+    suggestionsEl.textContent = '';
+    results.forEach((result, index) => {
+      const item = document.createElement('li');
+      if (index === activeIndex) item.className = 'active';
+
+      const name = document.createElement('span');
+      name.textContent = NiceMed.toTitleCase(result.name);
+      item.appendChild(name);
+
+      const details = [result.issn || result.eissn];
+      if (result.jcrQ) details.push(`JCR ${result.jcrQ}`);
+      if (result.casQ) details.push(`${result.casCategory || ''}${result.casQ}区`);
+      if (result.if) details.push(`IF ${result.if.toFixed(1)}`);
+      const meta = document.createElement('span');
+      meta.className = 'suggestion-meta';
+      meta.textContent = details.filter(Boolean).join(' · ');
+      item.appendChild(meta);
+
+      item.addEventListener('click', () => select(index));
+      suggestionsEl.appendChild(item);
+    });
+  }
+
+  /**
+   * Highlight a suggestion (keyboard navigation)
+   */
+  function setActive(index) {
+    const items = suggestionsEl.children;
+    if (items.length === 0) return;
+    activeIndex = (index + items.length) % items.length;
+    [...items].forEach((item, i) => item.classList.toggle('active', i === activeIndex));
+  }
+
+  /**
+   * Load and show the full record of a suggestion
+   */
+  async function select(index) {
+    const result = results[index];
+    if (!result) return;
+
+    const journal = await browser.runtime.sendMessage({
+      type: 'getJournal',
+      issn: result.issn || result.eissn
+    });
+    suggestionsEl.textContent = '';
+    if (journal) {
+      renderDetail(journal);
+    }
+  }
+
+  /**
+   * Append a table row; skipped when value is empty
+   */
+  function addRow(table, label, value) {
+    if (value === null || value === undefined || value === '') return;
+    const row = table.insertRow();
+    const th = document.createElement('th');
+    th.textContent = label;
+    row.appendChild(th);
+    row.insertCell().textContent = value;
+  }
+
+  /**
+   * Render the detail card with every CAS/JCR field and flag
+   */
+  function renderDetail(journal) {
+    detailEl.textContent = '';
+    detailEl.hidden = false;
+
+    const title = document.createElement('h2');
+    title.className = 'detail-title';
+    title.textContent = NiceMed.toTitleCase(journal.name);
+    detailEl.appendChild(title);
+
+    const badges = NiceMed.createBadgeContainer(journal);
+    if (badges) detailEl.appendChild(badges);
+
+    const yesNo = (value) => (value ? '是' : '否');
+    const table = document.createElement('table');
+    table.className = 'detail-table';
+
+    addRow(table, 'ISSN', journal.issn);
+    addRow(table, 'eISSN', journal.eissn);
+    addRow(table, '缩写', (journal.aliases || []).join('\n'));
+
+    // CAS
+    if (journal.casQ) {
+      addRow(table, '中科院大类', `${journal.casCategory || ''} ${journal.casRank || ''}`.trim());
+    }
+    addRow(table, '中科院小类', (journal.casSubs || [])
+      .map(sub => `${sub.name} ${sub.rank || ''}`.trim())
+      .join('\n'));
+
+    // JCR
+    addRow(table, '影响因子', journal.if ? journal.if.toFixed(1) : null);
+    addRow(table, 'JCR 分区', journal.jcrQ);
+    addRow(table, 'JCR 学科', (journal.jcrCats || [])
+      .map(c => [c.cat, c.q, c.rank, c.pct !== undefined ? `(${c.pct}%)` : ''].filter(Boolean).join(' '))
+      .join('\n'));
+
+    // Flags
+    addRow(table, 'Top 期刊', yesNo(journal.isTop));
+    addRow(table, '预警名单', yesNo(journal.isWarning));
+    addRow(table, 'Mega-Journal', yesNo(journal.isMega));
+    addRow(table, '中国SCI支持', yesNo(journal.isChinaSupport));
+
+    // Per-year history
+    const history = journal.history || {};
+    addRow(table, '历年数据', Object.keys(history).sort().map(year => {
+      const h = history[year];
+      const parts = [];
+      if (h.if !== undefined) parts.push(`IF ${h.if.toFixed(1)}`);
+      if (h.jcrQ) parts.push(`JCR ${h.jcrQ}`);
+      if (h.casQ) parts.push(`中科院${h.casQ}区`);
+      if (h.isWarning) parts.push('预警');
+      return `${year}: ${parts.join(' · ')}`;
+    }).join('\n'));
+
+    detailEl.appendChild(table);
+  }
+
+  /**
+   * Show dataset versions from meta.json
+   */
+  async function renderVersions() {
+    const status = await browser.runtime.sendMessage({ type: 'getStatus' });
+    if (!status || !status.dataLoaded) {
+      versionsEl.textContent = '期刊数据未加载';
+      return;
+    }
+    const meta = status.meta;
+    if (!meta) return;
+
+    const parts = [
+      `JCR ${meta.jcrYears.join('/')}`,
+      `中科院 ${meta.casYears.join('/')}`
+    ];
+    if (meta.generatedAt) parts.push(`生成于 ${meta.generatedAt.slice(0, 10)}`);
+    versionsEl.textContent = `数据: ${parts.join(' · ')}`;
+  }
+
+  /**
+   * Whether a URL is covered by a manifest match pattern like "https://scholar.google.com/*"
+   */
+  function matchesPattern(url, pattern) {
+    const regex = pattern
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*');
+    return new RegExp(`^${regex}$`).test(url);
+  }
+
+  /**
+   * Offer to show (or stop showing) badges on the current publisher site
+   */
+  async function renderSite() {
+    const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !/^https?:/.test(tab.url || '')) return;
+
+    // Sites with built-in support need no opt-in
+    const builtIn = browser.runtime.getManifest().content_scripts.flatMap(script => script.matches);
+    if (builtIn.some(pattern => matchesPattern(tab.url, pattern))) return;
+
+    const host = new URL(tab.url).hostname;
+    const pattern = `*://${host}/*`;
+    const defaults = NiceMedConstants.DEFAULT_SETTINGS;
+    const settings = await browser.storage.sync.get({
+      publisherSites: defaults.publisherSites,
+      publisherDeniedSites: defaults.publisherDeniedSites,
+      publisherAllSites: defaults.publisherAllSites
+    });
+    const denied = settings.publisherDeniedSites.includes(host);
+    const enabled = !denied && (settings.publisherAllSites || settings.publisherSites.includes(host));
+
+    siteEl.textContent = '';
+    siteEl.hidden = false;
+    const label = document.createElement('span');
+    label.textContent = `${host}：${enabled ? '已显示期刊徽章' : '未启用'}`;
+    siteEl.appendChild(label);
+
+    const button = document.createElement('button');
+    if (enabled) {
+      button.textContent = '在此网站停用';
+      button.addEventListener('click', async () => {
+        const update = { publisherSites: settings.publisherSites.filter(h => h !== host) };
+        if (settings.publisherAllSites) {
+          update.publisherDeniedSites = [...settings.publisherDeniedSites, host];
+        } else {
+          await browser.permissions.remove({ origins: [pattern] });
+        }
+        await browser.storage.sync.set(update);
+        renderSite();
+      });
+    } else {
+      button.textContent = '在此网站显示期刊徽章';
+      button.title = '读取文章页面的期刊 ISSN 并显示徽章（需要授予访问此网站的权限）';
+      button.addEventListener('click', async () => {
+        // Must be the first call in the click handler to count as a user action
+        const granted = await browser.permissions.request({ origins: [pattern] });
+        if (!granted) return;
+        await browser.storage.sync.set({
+          publisherSites: [...new Set([...settings.publisherSites, host])],
+          publisherDeniedSites: settings.publisherDeniedSites.filter(h => h !== host)
+        });
+        await browser.runtime.sendMessage({ type: 'injectPublisherScripts', tabId: tab.id });
+        renderSite();
+      });
+    }
+    siteEl.appendChild(button);
+  }
+
+  let timeout = null;
+  searchInput.addEventListener('input', () => {
+    detailEl.hidden = true;
+    if (timeout) clearTimeout(timeout);
+    timeout = setTimeout(updateSuggestions, 150);
+  });
+
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActive(activeIndex + 1);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive(activeIndex - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      select(activeIndex);
+    }
+  });
+
+  renderVersions();
+  renderSite();
+})();
@@ -0,0 +1,306 @@
+/**
+ * NiceMed - Tier Rules
+ * A small expression language for institution-specific journal tiers,
+ * shared by the background script and the options page.
+ *
+ * One rule per line, "condition -> tier" (or "→"); the first matching rule wins:
+ *
+ *   cas == 1 or if >= 10 -> A
+ *   top and jcr == 1     -> B
+ *   warning              -> 不计
+ *
+ * Conditions are parsed into a tree and evaluated directly (no eval).
+ * A comparison with a missing value (no IF, no CAS division) is unknown
+ * rather than false, and stays unknown through "not": a journal without an
+ * IF matches neither "if < 3" nor "not (if < 3)". Only true conditions match.
+ */
+
+/**
+ * Fields available in conditions, read from a journals.json record
+ */
+const RULE_FIELDS = {
+  if: { label: '影响因子', get: j => (typeof j.if === 'number' ? j.if : null) },
+  jcr: { label: 'JCR 分区 (1-4)', get: j => (j.jcrQ ? parseInt(j.jcrQ.slice(1), 10) : null) },
+  cas: { label: '中科院大类分区 (1-4)', get: j => j.casQ || null },
+  category: { label: '中科院大类名称', get: j => j.casCategory || null },
+  name: { label: '期刊名', get: j => j.name || null },
+  issn: { label: 'ISSN', get: j => j.issn || j.eissn || null },
+  top: { label: 'Top 期刊', get: j => !!j.isTop },
+  warning: { label: '预警名单', get: j => !!j.isWarning },
+  mega: { label: 'Mega-Journal', get: j => !!j.isMega },
+  cn: { label: '中国SCI支持', get: j => !!j.isChinaSupport }
+};
+
+const RULE_KEYWORDS = {
+  and: 'and',
+  or: 'or',
+  not: 'not',
+  true: 'true',
+  false: 'false',
+  contains: 'contains'
+};
+
+/**
+ * Split a condition into tokens: {type, value, pos}
+ * type is one of number, string, ident, op, paren
+ */
+function tokenizeCondition(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    if (/[0-9.]/.test(char)) {
+      while (i < text.length && /[0-9.]/.test(text[i])) i++;
+      const value = Number(text.slice(start, i));
+      if (Number.isNaN(value)) throw new Error(`无效的数字 "${text.slice(start, i)}"`);
+      tokens.push({ type: 'number', value, pos: start });
+    } else if (char === '"' || char === "'") {
+      i++;
+      while (i < text.length && text[i] !== char) i++;
+      if (i >= text.length) throw new Error('字符串缺少结束引号');
+      tokens.push({ type: 'string', value: text.slice(start + 1, i), pos: start });
+      i++;
+    } else if (/[A-Za-z_]/.test(char)) {
+      while (i < text.length && /[A-Za-z0-9_]/.test(text[i])) i++;
+      const word = text.slice(start, i);
+      const keyword = RULE_KEYWORDS[word.toLowerCase()];
+      tokens.push(keyword ? { type: 'op', value: keyword, pos: start } : { type: 'ident', value: word, pos: start });
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: 'paren', value: char, pos: start });
+      i++;
+    } else {
+      const two = text.slice(i, i + 2);
+      const ops = { '&&': 'and', '||': 'or', '==': '==', '!=': '!=', '<=': '<=', '>=': '>=', '≥': '>=', '≤': '<=' };
+      if (ops[two]) {
+        tokens.push({ type: 'op', value: ops[two], pos: start });
+        i += 2;
+      } else if (ops[char]) {
+        tokens.push({ type: 'op', value: ops[char], pos: start });
+        i++;
+      } else if ('<>=!'.includes(char)) {
+        const single = { '<': '<', '>': '>', '=': '==', '!': 'not' };
+        tokens.push({ type: 'op', value: single[char], pos: start });
+        i++;
+      } else {
+        throw new Error(`无法识别的字符 "${char}"`);
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a condition into a tree:
+ *   or      := and ("or" and)*
+ *   and     := unary ("and" unary)*
+ *   unary   := "not" unary | compare
+ *   compare := value (("==" | "!=" | "<" | "<=" | ">" | ">=" | "contains") value)?
+ *   value   := number | string | true | false | field | "(" or ")"
+ */
+function parseCondition(text) {
+  const tokens = tokenizeCondition(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isOp('or')) {
+      index++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseUnary();
+    while (isOp('and')) {
+      index++;
+      node = { type: 'and', left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOp('not')) {
+      index++;
+      return { type: 'not', operand: parseUnary() };
+    }
+    return parseCompare();
+  }
+
+  function parseCompare() {
+    const left = parseValue();
+    const token = peek();
+    if (token && token.type === 'op' && ['==', '!=', '<', '<=', '>', '>=', 'contains'].includes(token.value)) {
+      index++;
+      return { type: 'compare', op: token.value, left, right: parseValue() };
+    }
+    return left;
+  }
+
+  function parseValue() {
+    const token = tokens[index++];
+    if (!token) throw new Error('条件不完整');
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'op' && (token.value === 'true' || token.value === 'false')) {
+      return { type: 'literal', value: token.value === 'true' };
+    }
+    if (token.type === 'ident') {
+      const field = token.value.toLowerCase();
+      if (!RULE_FIELDS[field]) throw new Error(`未知字段 "${token.value}"`);
+      return { type: 'field', name: field };
+    }
+    if (token.type === 'paren' && token.value === '(') {
+      const node = parseOr();
+      const close = tokens[index++];
+      if (!close || close.value !== ')') throw new Error('缺少右括号');
+      return node;
+    }
+    throw new Error(`意外的 "${token.value}"`);
+  }
+
+  if (tokens.length === 0) throw new Error('条件为空');
+  const tree = parseOr();
+  if (index < tokens.length) throw new Error(`意外的 "${tokens[index].value}"`);
+  return tree;
+}
+
+/**
+ * Truth value of a condition result: true, false or null (unknown, from a
+ * missing value)
+ */
+function toTruth(value) {
+  return value === null || value === undefined ? null : !!value;
+}
+
+/**
+ * Evaluate a parsed condition against a journal record with three-valued
+ * logic: comparisons involving a missing value (e.g. no CAS division) are
+ * null, "not" keeps null, "and"/"or" are null only when the known operands
+ * do not decide the result.
+ * @returns {*} field/literal value, or true/false/null for conditions
+ */
+function evaluateCondition(node, journal) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'field':
+      return RULE_FIELDS[node.name].get(journal);
+    case 'not': {
+      const operand = toTruth(evaluateCondition(node.operand, journal));
+      return operand === null ? null : !operand;
+    }
+    case 'and': {
+      const left = toTruth(evaluateCondition(node.left, journal));
+      const right = toTruth(evaluateCondition(node.right, journal));
+      if (left === false || right === false) return false;
+      return left === null || right === null ? null : true;
+    }
+    case 'or': {
+      const left = toTruth(evaluateCondition(node.left, journal));
+      const right = toTruth(evaluateCondition(node.right, journal));
+      if (left === true || right === true) return true;
+      return left === null || right === null ? null : false;
+    }
+    case 'compare': {
+      const left = evaluateCondition(node.left, journal);
+      const right = evaluateCondition(node.right, journal);
+      if (left === null || right === null) return null;
+      if (node.op === 'contains') {
+        return String(left).toUpperCase().includes(String(right).toUpperCase());
+      }
+      switch (node.op) {
+        case '==': return left === right;
+        case '!=': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+      }
+      return false;
+    }
+  }
+  return false;
+}
+
+/**
+ * Parse rule text (one "condition -> tier" or "condition → tier" per line,
+ * "#" starts a comment)
+ * @returns {Array<{tier: string, when: string}>}
+ * @throws {Error} with the line number of the first invalid rule
+ */
+function parseRulesText(text) {
+  const rules = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const arrow = trimmed.match(/^(.*)(->|→)(.*)$/);
+    if (!arrow) throw new Error(`第 ${i + 1} 行: 缺少 "-> 等级"`);
+    const rule = { tier: arrow[3].trim(), when: arrow[1].trim() };
+    try {
+      compileRule(rule);
+    } catch (error) {
+      throw new Error(`第 ${i + 1} 行: ${error.message}`);
+    }
+    rules.push(rule);
+  });
+  return rules;
+}
+
+/**
+ * Format stored rules back into editable text
+ */
+function formatRulesText(rules) {
+  return rules.map(rule => `${rule.when} -> ${rule.tier}`).join('\n');
+}
+
+/**
+ * Validate and parse one stored rule
+ * @returns {{tier: string, when: string, tree: Object}}
+ */
+function compileRule(rule) {
+  if (!rule || typeof rule.when !== 'string' || typeof rule.tier !== 'string') {
+    throw new Error('规则需要 when 和 tier 字段');
+  }
+  if (!rule.tier.trim()) throw new Error('等级为空');
+  return { tier: rule.tier.trim(), when: rule.when.trim(), tree: parseCondition(rule.when) };
+}
+
+/**
+ * First matching compiled rule for a journal
+ * @returns {{tier: string, rule: string}|null}
+ */
+function evaluateTier(compiledRules, journal) {
+  if (!journal) return null;
+  for (const rule of compiledRules) {
+    if (toTruth(evaluateCondition(rule.tree, journal)) === true) {
+      return { tier: rule.tier, rule: rule.when };
+    }
+  }
+  return null;
+}
+
+// Allow Node scripts to reuse the rule engine
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RULE_FIELDS,
+    parseCondition,
+    evaluateCondition,
+    parseRulesText,
+    formatRulesText,
+    compileRule,
+    evaluateTier
+  };
+}
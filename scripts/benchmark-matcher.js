@@ -0,0 +1,180 @@
+/**
+ * NiceMed - Matcher Benchmark
+ * Compares the indexed fuzzy matcher (extension/matcher.js) with the previous
+ * linear scan over a corpus of real PubMed journal abbreviations.
+ *
+ * Also runs the truncated-name matcher over Scholar venue names cut off with
+ * "…"; every one of them must find at least a candidate.
+ *
+ * Requires extension/data/journals.json (run convert-csv.js first).
+ *
+ * Usage: node benchmark-matcher.js [corpus.txt] [--rounds=N] [--truncated=file.txt]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  buildNameIndex,
+  buildFuzzyIndex,
+  findFuzzyMatch,
+  findPrefixMatch,
+  calculateMatchScore,
+  normalizeJournalName
+} = require('../extension/matcher.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_JSON = path.join(ROOT_DIR, 'extension', 'data', 'journals.json');
+const DEFAULT_CORPUS = path.join(__dirname, 'fixtures', 'pubmed-abbreviations.txt');
+const DEFAULT_TRUNCATED = path.join(__dirname, 'fixtures', 'scholar-truncated.txt');
+
+/**
+ * Read corpus file: one query per line, "#" starts a comment line
+ */
+function loadCorpus(file) {
+  return fs.readFileSync(file, 'utf-8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Previous fuzzy step: scan every ISSN key whose name starts with the query's first letter
+ */
+function legacyFuzzyMatch(journalData, name) {
+  const queryClean = name.toUpperCase().replace(/[^A-Z0-9\s]/g, '');
+  const startChar = queryClean.trim().charAt(0);
+
+  let bestMatch = null;
+  let bestScore = 0;
+
+  const candidates = Object.values(journalData).filter(j => {
+    if (!j.name) return false;
+    const jName = j.name.toUpperCase().replace(/[^A-Z0-9\s]/g, '').trim();
+    return jName.charAt(0) === startChar;
+  });
+
+  for (const journal of candidates) {
+    const score = calculateMatchScore(name, journal.name);
+    if (score > bestScore) {
+      bestScore = score;
+      bestMatch = journal;
+    }
+  }
+  return { journal: bestMatch, score: bestScore };
+}
+
+/**
+ * Name lookup as done by the background script, with a pluggable fuzzy step
+ * @returns {{journal: Object|null, method: string}}
+ */
+function lookup(nameIndex, name, fuzzy) {
+  const direct = nameIndex.get(normalizeJournalName(name));
+  if (direct) return { journal: direct, method: 'name' };
+
+  const parenIndex = name.indexOf('(');
+  if (parenIndex > 0) {
+    const parenMatch = nameIndex.get(normalizeJournalName(name.substring(0, parenIndex).trim()));
+    if (parenMatch) return { journal: parenMatch, method: 'paren-stripped' };
+  }
+
+  const match = fuzzy(name);
+  if (match.score >= 80) return { journal: match.journal, method: 'fuzzy' };
+  return { journal: null, method: 'none' };
+}
+
+/**
+ * Run every query `rounds` times, return results of the last round and elapsed ms
+ */
+function run(queries, rounds, fn) {
+  let results = [];
+  const start = process.hrtime.bigint();
+  for (let r = 0; r < rounds; r++) {
+    results = queries.map(fn);
+  }
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+  return { results, elapsed };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const roundsArg = args.find(a => a.startsWith('--rounds='));
+  const rounds = roundsArg ? parseInt(roundsArg.split('=')[1], 10) : 3;
+  const corpusFile = args.find(a => !a.startsWith('--')) || DEFAULT_CORPUS;
+  const truncatedArg = args.find(a => a.startsWith('--truncated='));
+  const truncatedFile = truncatedArg ? truncatedArg.split('=')[1] : DEFAULT_TRUNCATED;
+
+  if (!fs.existsSync(DATA_JSON)) {
+    console.error(`Missing ${DATA_JSON}, run: node scripts/convert-csv.js`);
+    process.exit(1);
+  }
+
+  const journalData = JSON.parse(fs.readFileSync(DATA_JSON, 'utf-8'));
+  const queries = loadCorpus(corpusFile);
+  console.log(`Corpus: ${queries.length} queries from ${corpusFile}`);
+
+  let start = process.hrtime.bigint();
+  const nameIndex = buildNameIndex(journalData);
+  const fuzzyIndex = buildFuzzyIndex(journalData);
+  const buildMs = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`Index build: ${buildMs.toFixed(1)} ms (${fuzzyIndex.journals.length} journals, ${fuzzyIndex.keys.size} keys)`);
+
+  const legacy = run(queries, rounds, q => lookup(nameIndex, q, name => legacyFuzzyMatch(journalData, name)));
+  const indexed = run(queries, rounds, q => lookup(nameIndex, q, name => findFuzzyMatch(fuzzyIndex, name)));
+
+  const perQuery = (ms) => (ms / (queries.length * rounds)).toFixed(3);
+  console.log(`\nLinear scan: ${legacy.elapsed.toFixed(1)} ms total, ${perQuery(legacy.elapsed)} ms/query`);
+  console.log(`Indexed:     ${indexed.elapsed.toFixed(1)} ms total, ${perQuery(indexed.elapsed)} ms/query`);
+  console.log(`Speedup:     ${(legacy.elapsed / indexed.elapsed).toFixed(1)}x`);
+
+  // Compare results
+  const methods = {};
+  const gained = [];
+  const lost = [];
+  const changed = [];
+  queries.forEach((q, i) => {
+    const before = legacy.results[i].journal;
+    const after = indexed.results[i].journal;
+    const method = indexed.results[i].method;
+    methods[method] = (methods[method] || 0) + 1;
+
+    if (before === after) return;
+    if (!before) gained.push(`${q} -> ${after.name}`);
+    else if (!after) lost.push(`${q} (was ${before.name})`);
+    else changed.push(`${q}: ${before.name} -> ${after.name}`);
+  });
+
+  console.log('\nMatch methods (indexed):');
+  for (const method in methods) {
+    console.log(`  ${method}: ${methods[method]}`);
+  }
+
+  console.log(`\nSame result: ${queries.length - gained.length - lost.length - changed.length}`);
+  console.log(`Newly matched: ${gained.length}`);
+  gained.forEach(line => console.log(`  + ${line}`));
+  console.log(`Changed: ${changed.length}`);
+  changed.forEach(line => console.log(`  ~ ${line}`));
+  console.log(`Lost: ${lost.length}`);
+  lost.forEach(line => console.log(`  - ${line}`));
+
+  // Truncated Scholar venues: "name … | publisher hint"
+  const truncated = loadCorpus(truncatedFile).map(line => line.split(' | '));
+  const unmatched = [];
+  console.log(`\nTruncated names: ${truncated.length} from ${truncatedFile}`);
+  for (const [name, publisher = ''] of truncated) {
+    const match = findPrefixMatch(fuzzyIndex, name, publisher);
+    if (!match.journal) {
+      unmatched.push(name);
+      console.log(`  - ${name}`);
+    } else if (match.ambiguous) {
+      console.log(`  ? ${name} -> ${match.candidates.length} candidates`);
+    } else {
+      console.log(`  + ${name} -> ${match.journal.name}`);
+    }
+  }
+
+  if (lost.length > 0 || unmatched.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -1,8 +1,19 @@
 /**
  * NiceMed - CSV to JSON Converter
- * Converts FQBJCR2025-UTF8.csv and JCR2024-UTF8.csv to journals.json
+ * Converts all yearly FQBJCR{year}-UTF8.csv and JCR{year}-UTF8.csv files to journals.json.
+ * The latest year of each dataset provides the current values; when more
+ * than one year is loaded, the older years are kept in each journal's
+ * `history` (the background script adds the latest year from the current
+ * values, so it is not stored twice).
  * 
- * Usage: node convert-csv.js
+ * Usage: node convert-csv.js [options]
+ *   --all                  Keep every discipline (大类)
+ *   --include=医学,生物学    Keep only these disciplines
+ *   --exclude=数学,法学      Drop these disciplines (replaces the default list)
+ *   --config=filter.json   Read { "include": [...] } or { "exclude": [...] } from a file
+ *   --nlm=J_Medline.txt    NLM journal list for abbreviation aliases
+ *                          (defaults to csv/J_Medline.txt or csv/J_Entrez.txt if present)
+ *   --report=report.json   Data-quality report path (defaults to csv/convert-report.json)
  */
 
 const fs = require('fs');
@@ -11,28 +22,111 @@ const path = require('path');
 // Paths
 const DATA_DIR = path.join(__dirname, '..');
 const CSV_DIR = path.join(DATA_DIR, 'csv');
-const CAS_CSV = path.join(CSV_DIR, 'FQBJCR2025-UTF8.csv');
-const JCR_CSV = path.join(CSV_DIR, 'JCR2024-UTF8.csv');
+const CAS_CSV_PATTERN = /^FQBJCR(\d{4})-UTF8\.csv$/;
+const JCR_CSV_PATTERN = /^JCR(\d{4})-UTF8\.csv$/;
 const OUTPUT_JSON = path.join(DATA_DIR, 'extension', 'data', 'journals.json');
+const OUTPUT_META_JSON = path.join(DATA_DIR, 'extension', 'data', 'meta.json');
+const NLM_DEFAULT_FILES = ['J_Medline.txt', 'J_Entrez.txt'];
+const DEFAULT_REPORT_JSON = path.join(CSV_DIR, 'convert-report.json');
+
+// Disciplines dropped when no filter option is given (non-science/medical)
+const DEFAULT_EXCLUDED_CATEGORIES = [
+  '文学', '历史学', '艺术学', '管理学', '社会学',
+  '经济学', '法学', '哲学', '教育学',
+  '工程技术', '计算机科学', '地球科学', '数学', '物理与天体物理'
+];
+
+const KNOWN_ARGS = ['all', 'include', 'exclude', 'config', 'nlm', 'report'];
+
+/**
+ * Parse command line arguments of the form --key or --key=value
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match || !KNOWN_ARGS.includes(match[1])) {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+    args[match[1]] = match[2] === undefined ? true : match[2];
+  }
+  return args;
+}
+
+/**
+ * Split a comma separated list argument
+ */
+function splitList(value) {
+  return String(value).split(/[,，]/).map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Build the discipline filter from CLI arguments
+ * @returns {{include: string[]|null, exclude: string[]}}
+ *   include === null means every discipline not in exclude is kept
+ */
+function buildCategoryFilter(args) {
+  if (args.all) {
+    return { include: null, exclude: [] };
+  }
+
+  let include = null;
+  let exclude = null;
+
+  if (args.config) {
+    const config = JSON.parse(fs.readFileSync(path.resolve(args.config), 'utf-8'));
+    if (Array.isArray(config.include)) include = config.include;
+    if (Array.isArray(config.exclude)) exclude = config.exclude;
+  }
+  if (args.include) include = splitList(args.include);
+  if (args.exclude) exclude = splitList(args.exclude);
+
+  if (include === null && exclude === null) {
+    exclude = DEFAULT_EXCLUDED_CATEGORIES;
+  }
+  return { include, exclude: exclude || [] };
+}
+
+/**
+ * Check whether a CAS discipline passes the filter
+ */
+function isCategoryIncluded(filter, category) {
+  if (filter.exclude.includes(category)) return false;
+  if (filter.include && !filter.include.includes(category)) return false;
+  return true;
+}
+
+/**
+ * Find yearly dataset files in the CSV directory, sorted by year ascending
+ * @returns {Array<{year: string, file: string}>}
+ */
+function findDatasetFiles(pattern) {
+  return fs.readdirSync(CSV_DIR)
+    .map(name => {
+      const match = name.match(pattern);
+      return match ? { year: match[1], file: path.join(CSV_DIR, name) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.year.localeCompare(b.year));
+}
 
 /**
  * Parse CSV content to array of objects
  */
 function parseCSV(content) {
-  const lines = content.split('\n');
-  if (lines.length === 0) return [];
+  const records = parseCSVRecords(content);
+  if (records.length === 0) return [];
 
   // Parse header
-  const headers = parseCSVLine(lines[0]);
+  const headers = records[0];
 
   const results = [];
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
+  for (let i = 1; i < records.length; i++) {
+    const values = records[i];
+    // Skip blank lines
+    if (values.length === 1 && values[0] === '') continue;
 
-    const values = parseCSVLine(line);
     const obj = {};
-
     for (let j = 0; j < headers.length; j++) {
       obj[headers[j]] = values[j] || '';
     }
@@ -44,33 +138,57 @@ function parseCSV(content) {
 }
 
 /**
- * Parse a single CSV line, handling quoted fields
+ * Split CSV content into records of trimmed field values.
+ * Handles a UTF-8 BOM, CRLF/LF line endings, and quoted fields that
+ * contain commas, escaped quotes ("") or newlines.
  */
-function parseCSVLine(line) {
-  const result = [];
+function parseCSVRecords(content) {
+  if (content.charCodeAt(0) === 0xFEFF) {
+    content = content.slice(1);
+  }
+
+  const records = [];
+  let record = [];
   let current = '';
   let inQuotes = false;
 
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-
-    if (char === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        current += '"';
-        i++;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (content[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
       } else {
-        inQuotes = !inQuotes;
+        current += char;
       }
-    } else if (char === ',' && !inQuotes) {
-      result.push(current.trim());
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(current.trim());
+      current = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(current.trim());
+      records.push(record);
+      record = [];
       current = '';
     } else {
       current += char;
     }
   }
 
-  result.push(current.trim());
-  return result;
+  // Last record without trailing newline
+  if (current !== '' || record.length > 0) {
+    record.push(current.trim());
+    records.push(record);
+  }
+
+  return records;
 }
 
 /**
@@ -101,6 +219,257 @@ function parseCasDivision(text) {
   return { q: null, rank: null };
 }
 
+/**
+ * Parse CAS subcategory columns (小类1 - 小类6) into a list of
+ * { name, q, rank }, e.g. { name: "ONCOLOGY 肿瘤学", q: 2, rank: "2 [30/318]" }
+ */
+function parseCasSubcategories(row) {
+  const subs = [];
+  for (let i = 1; i <= 6; i++) {
+    const name = (row[`小类${i}`] || '').trim();
+    if (!name) continue;
+    const division = parseCasDivision(row[`小类${i}分区`]);
+    subs.push({ name, q: division.q, rank: division.rank });
+  }
+  return subs;
+}
+
+/**
+ * Size of each JCR category (the N of "R/N"), taken from rows that list a
+ * single category, where the rank can only belong to that category
+ * @returns {Map<string, number>}
+ */
+function buildJcrCategorySizes(rows, year) {
+  const sizes = new Map();
+  for (const row of rows) {
+    const cats = (row['Category'] || '').split(';').map(c => c.trim()).filter(Boolean);
+    const match = (row[`IF Rank(${year})`] || '').match(/^\d+\/(\d+)$/);
+    if (cats.length === 1 && match && !sizes.has(cats[0])) {
+      sizes.set(cats[0], parseInt(match[1], 10));
+    }
+  }
+  return sizes;
+}
+
+/**
+ * Parse JCR category/rank columns of one row into a list of
+ * { cat, q, rank, pct }, e.g. { cat: "ONCOLOGY(SCIE)", q: "Q1", rank: "1/326", pct: 99.8 }
+ *
+ * A row may list several categories separated by ";" with a single rank.
+ * The rank belongs to the one category whose size (see buildJcrCategorySizes)
+ * equals the rank's N, e.g. CANCER CELL "CELL BIOLOGY;ONCOLOGY" 5/326 is
+ * ONCOLOGY; when no single category fits, every category keeps only its name.
+ */
+function parseJcrCategories(row, year, categorySizes) {
+  const cats = (row['Category'] || '').split(';').map(c => c.trim()).filter(Boolean);
+  const q = row[`IF Quartile(${year})`] || null;
+  const rank = row[`IF Rank(${year})`] || null;
+
+  let ranked = cats.length === 1 ? cats[0] : null;
+  const size = (rank || '').match(/^\d+\/(\d+)$/);
+  if (cats.length > 1 && size) {
+    const fitting = cats.filter(cat => categorySizes.get(cat) === parseInt(size[1], 10));
+    if (fitting.length === 1) ranked = fitting[0];
+  }
+
+  return cats.map(cat => {
+    if (cat !== ranked) return { cat, q: null, rank: null, pct: null };
+    return { cat, q, rank, pct: calculatePercentile(rank) };
+  });
+}
+
+/**
+ * JCR percentile from rank string "R/N": (N - R + 0.5) / N * 100
+ */
+function calculatePercentile(rank) {
+  const match = (rank || '').match(/^(\d+)\/(\d+)$/);
+  if (!match) return null;
+  const r = parseInt(match[1], 10);
+  const n = parseInt(match[2], 10);
+  if (!n || r > n) return null;
+  return Math.round((n - r + 0.5) / n * 1000) / 10;
+}
+
+/**
+ * Merge category entries into a journal's list (keeps ranked entry on duplicates)
+ * and keep the list sorted by percentile, best first
+ */
+function mergeJcrCategories(journal, cats) {
+  for (const cat of cats) {
+    const existing = journal.jcrCats.find(c => c.cat === cat.cat);
+    if (!existing) {
+      journal.jcrCats.push(cat);
+    } else if (existing.pct === null && cat.pct !== null) {
+      Object.assign(existing, cat);
+    }
+  }
+  journal.jcrCats.sort((a, b) => (b.pct ?? -1) - (a.pct ?? -1));
+
+  // Headline quartile is taken from the best-ranked category
+  const best = journal.jcrCats.find(c => c.q);
+  if (best) journal.jcrQ = best.q;
+}
+
+/**
+ * Parse the ISSN/EISSN field of a CAS row (format: "1234-5678/8765-4321")
+ */
+function parseCasIssns(row) {
+  const issnParts = (row['ISSN/EISSN'] || '').split('/');
+  return {
+    issn: normalizeISSN(issnParts[0]),
+    eissn: normalizeISSN(issnParts[1])
+  };
+}
+
+/**
+ * Get (or create) a journal's history record for one year
+ */
+function getHistoryYear(journal, year) {
+  if (!journal.history[year]) {
+    journal.history[year] = {};
+  }
+  return journal.history[year];
+}
+
+/**
+ * Look up an indexed journal by ISSN or eISSN
+ */
+function findJournal(journals, issn, eissn) {
+  return (issn && journals[issn]) || (eissn && journals[eissn]) || null;
+}
+
+/**
+ * Record per-year CAS partition and warning status for already indexed journals.
+ * Rows that add nothing (no ISSN, journal not in the output, unreadable
+ * division) are listed in the report.
+ */
+function addCasHistory(journals, rows, year, report, excludedIssns) {
+  for (const row of rows) {
+    const journalName = row['Journal'];
+    if (!journalName) continue;
+
+    const { issn, eissn } = parseCasIssns(row);
+    if (!issn && !eissn) {
+      report.rowsWithoutIssn.push({ source: `CAS ${year}`, journal: journalName, value: row['ISSN/EISSN'] });
+      continue;
+    }
+    const journal = findJournal(journals, issn, eissn);
+    if (!journal) {
+      if (!excludedIssns.has(issn) && !excludedIssns.has(eissn)) {
+        report.unmatchedHistoryRows.push({ source: `CAS ${year}`, journal: journalName, issn, eissn });
+      }
+      continue;
+    }
+
+    const record = getHistoryYear(journal, year);
+    const casDivision = parseCasDivision(row['大类分区']);
+    if (row['大类分区'] && !casDivision.q) {
+      report.unparseableDivisions.push({ source: `CAS ${year}`, journal: journalName, issn, eissn, value: row['大类分区'] });
+    }
+    if (casDivision.q) record.casQ = casDivision.q;
+    if (isWarning(row['标注'])) record.isWarning = true;
+  }
+}
+
+/**
+ * Record per-year IF and JCR quartile for already indexed journals.
+ * When a journal has several rows in one year, the best quartile is kept.
+ * Rows that add nothing are listed in the report.
+ */
+function addJcrHistory(journals, rows, year, report, excludedIssns) {
+  for (const row of rows) {
+    const journalName = row['Journal'];
+    if (!journalName) continue;
+
+    const issn = normalizeISSN(row['ISSN']);
+    const eissn = normalizeISSN(row['eISSN']);
+    if (!issn && !eissn) {
+      report.rowsWithoutIssn.push({ source: `JCR ${year}`, journal: journalName, value: `${row['ISSN']}/${row['eISSN']}` });
+      continue;
+    }
+    const journal = findJournal(journals, issn, eissn);
+    if (!journal) {
+      if (!excludedIssns.has(issn) && !excludedIssns.has(eissn)) {
+        report.unmatchedHistoryRows.push({ source: `JCR ${year}`, journal: journalName, issn, eissn });
+      }
+      continue;
+    }
+
+    const record = getHistoryYear(journal, year);
+    const ifValue = parseFloat(row[`IF(${year})`]);
+    const jcrQ = row[`IF Quartile(${year})`];
+    if (!isNaN(ifValue)) record.if = ifValue;
+    if (/^Q[1-4]$/.test(jcrQ) && (!record.jcrQ || jcrQ < record.jcrQ)) {
+      record.jcrQ = jcrQ;
+    }
+  }
+}
+
+/**
+ * Resolve the NLM journal list path: --nlm argument or a default file in csv/
+ */
+function findNlmFile(args) {
+  if (args.nlm) return path.resolve(args.nlm);
+  for (const name of NLM_DEFAULT_FILES) {
+    const file = path.join(CSV_DIR, name);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+/**
+ * Parse NLM catalog journal list (J_Medline.txt / J_Entrez.txt).
+ * Records are "Key: Value" lines separated by lines of dashes.
+ * @returns {Array<{issn: string|null, eissn: string|null, abbrs: string[]}>}
+ */
+function parseNlmJournals(content) {
+  const records = [];
+  for (const block of content.split(/^-{5,}\s*$/m)) {
+    const fields = {};
+    for (const line of block.split(/\r?\n/)) {
+      const index = line.indexOf(':');
+      if (index <= 0) continue;
+      fields[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+    }
+
+    const abbrs = [fields['MedAbbr'], fields['IsoAbbr']].filter(Boolean);
+    const issn = normalizeISSN(fields['ISSN (Print)']);
+    const eissn = normalizeISSN(fields['ISSN (Online)']);
+    if (abbrs.length > 0 && (issn || eissn)) {
+      records.push({ issn, eissn, abbrs });
+    }
+  }
+  return records;
+}
+
+/**
+ * Join NLM abbreviations onto indexed journals by ISSN/eISSN
+ * @returns {number} Number of journals that received aliases
+ */
+function addNlmAliases(journals, records) {
+  const updated = new Set();
+  for (const record of records) {
+    const journal = findJournal(journals, record.issn, record.eissn);
+    if (!journal) continue;
+
+    const nameKey = normalizeAlias(journal.name);
+    for (const abbr of record.abbrs) {
+      const key = normalizeAlias(abbr);
+      if (key === nameKey || journal.aliases.some(a => normalizeAlias(a) === key)) continue;
+      journal.aliases.push(abbr);
+      updated.add(journal);
+    }
+  }
+  return updated.size;
+}
+
+/**
+ * Normalize a name the same way the extension's name index does
+ */
+function normalizeAlias(name) {
+  return name.toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
 /**
  * Check if journal is marked as Top
  */
@@ -135,18 +504,51 @@ function isMega(value) {
 /**
  * Main conversion function
  */
-function convert() {
+function convert(args) {
+  const categoryFilter = buildCategoryFilter(args);
+  if (categoryFilter.include) {
+    console.log(`Including disciplines: ${categoryFilter.include.join(', ')}`);
+  } else if (categoryFilter.exclude.length > 0) {
+    console.log(`Excluding disciplines: ${categoryFilter.exclude.join(', ')}`);
+  } else {
+    console.log('Including all disciplines');
+  }
+
   console.log('Loading CSV files...');
 
-  // Load CAS data
-  const casContent = fs.readFileSync(CAS_CSV, 'utf-8');
-  const casData = parseCSV(casContent);
-  console.log(`Parsed ${casData.length} CAS entries`);
+  const casFiles = findDatasetFiles(CAS_CSV_PATTERN);
+  const jcrFiles = findDatasetFiles(JCR_CSV_PATTERN);
+  if (casFiles.length === 0 || jcrFiles.length === 0) {
+    throw new Error(`Need at least one FQBJCR{year}-UTF8.csv and one JCR{year}-UTF8.csv in ${CSV_DIR}`);
+  }
 
-  // Load JCR data
-  const jcrContent = fs.readFileSync(JCR_CSV, 'utf-8');
-  const jcrData = parseCSV(jcrContent);
-  console.log(`Parsed ${jcrData.length} JCR entries`);
+  // Load CAS data (every year; the latest one provides current values)
+  const casByYear = casFiles.map(({ year, file }) => {
+    const rows = parseCSV(fs.readFileSync(file, 'utf-8'));
+    console.log(`Parsed ${rows.length} CAS entries (${year})`);
+    return { year, rows };
+  });
+  const casYear = casByYear[casByYear.length - 1].year;
+  const casData = casByYear[casByYear.length - 1].rows;
+
+  // Load JCR data (every year; the latest one provides current values)
+  const jcrByYear = jcrFiles.map(({ year, file }) => {
+    const rows = parseCSV(fs.readFileSync(file, 'utf-8'));
+    console.log(`Parsed ${rows.length} JCR entries (${year})`);
+    return { year, rows };
+  });
+  const jcrYear = jcrByYear[jcrByYear.length - 1].year;
+  const jcrData = jcrByYear[jcrByYear.length - 1].rows;
+
+  // Data-quality findings, written next to the output for review
+  const report = {
+    issnCollisions: [],
+    rowsWithoutIssn: [],
+    unmergedJcrRows: [],
+    unmatchedHistoryRows: [],
+    duplicateNames: [],
+    unparseableDivisions: []
+  };
 
   // Build journal database indexed by ISSN
   const journals = {};
@@ -154,26 +556,22 @@ function convert() {
   // Index by both ISSN and eISSN
   const excludedIssns = new Set();
 
-  // Filter out non-science/medical categories as requested
-  const excludedCategories = [
-    '文学', '历史学', '艺术学', '管理学', '社会学',
-    '经济学', '法学', '哲学', '教育学',
-    '工程技术', '计算机科学', '地球科学', '数学', '物理与天体物理'
-  ];
+  // Journal count per included discipline, written to meta.json for the options page
+  const categoryCounts = {};
 
   for (const row of casData) {
     const journalName = row['Journal'];
     if (!journalName) continue;
 
-    // Parse ISSN/EISSN field (format: "1234-5678/8765-4321")
-    const issnField = row['ISSN/EISSN'] || '';
-    const issnParts = issnField.split('/');
-    const issn = normalizeISSN(issnParts[0]);
-    const eissn = normalizeISSN(issnParts[1]);
+    const { issn, eissn } = parseCasIssns(row);
+    if (!issn && !eissn) {
+      report.rowsWithoutIssn.push({ source: `CAS ${casYear}`, journal: journalName, value: row['ISSN/EISSN'] });
+      continue;
+    }
 
     const casCategory = row['大类'] || null;
 
-    if (excludedCategories.includes(casCategory)) {
+    if (!isCategoryIncluded(categoryFilter, casCategory)) {
       if (issn) excludedIssns.add(issn);
       if (eissn) excludedIssns.add(eissn);
       continue;
@@ -189,21 +587,44 @@ function convert() {
       casCategory: row['大类'] || null,
       casQ: casDivision.q,
       casRank: casDivision.rank,
+      casSubs: parseCasSubcategories(row),
       isTop: isTop(row['Top']),
       isChinaSupport: isChinaSupport(mark),
       isWarning: isWarning(mark),
       isMega: isMega(mark),
       if: null,
-      jcrQ: null
+      jcrQ: null,
+      jcrCats: [],
+      history: {},
+      aliases: []
     };
 
-    // Index by both ISSN and eISSN
+    // Index by both ISSN and eISSN (first row wins; later rows are reported)
+    const existing = findJournal(journals, issn, eissn);
+    if (existing) {
+      report.issnCollisions.push({
+        source: `CAS ${casYear}`,
+        issn,
+        eissn,
+        kept: existing.name,
+        dropped: journalName
+      });
+      continue;
+    }
     if (issn) {
       journals[issn] = journal;
     }
     if (eissn && eissn !== issn) {
       journals[eissn] = journal;
     }
+
+    // Reported and counted only for journals actually kept
+    if (row['大类分区'] && !casDivision.q) {
+      report.unparseableDivisions.push({ source: `CAS ${casYear}`, journal: journalName, issn, eissn, value: row['大类分区'] });
+    }
+    if (casCategory) {
+      categoryCounts[casCategory] = (categoryCounts[casCategory] || 0) + 1;
+    }
   }
 
   console.log(`Indexed ${Object.keys(journals).length} entries from CAS data`);
@@ -211,6 +632,7 @@ function convert() {
 
   // Process JCR data and merge
   let jcrMatched = 0;
+  const jcrCategorySizes = buildJcrCategorySizes(jcrData, jcrYear);
   let jcrNew = 0;
 
   for (const row of jcrData) {
@@ -219,35 +641,50 @@ function convert() {
 
     const issn = normalizeISSN(row['ISSN']);
     const eissn = normalizeISSN(row['eISSN']);
+    if (!issn && !eissn) {
+      report.rowsWithoutIssn.push({ source: `JCR ${jcrYear}`, journal: journalName, value: `${row['ISSN']}/${row['eISSN']}` });
+      continue;
+    }
 
     // Skip blacklisted journals
     if ((issn && excludedIssns.has(issn)) || (eissn && excludedIssns.has(eissn))) {
       continue;
     }
 
-    const ifValue = parseFloat(row['IF(2024)']);
-    const jcrQ = row['IF Quartile(2024)'];
-
-    // Try to find existing entry
-    let journal = null;
-    if (issn && journals[issn]) {
-      journal = journals[issn];
-      jcrMatched++;
-    } else if (eissn && journals[eissn]) {
-      journal = journals[eissn];
-      jcrMatched++;
+    const ifValue = parseFloat(row[`IF(${jcrYear})`]);
+    const jcrQ = row[`IF Quartile(${jcrYear})`];
+    const jcrCats = parseJcrCategories(row, jcrYear, jcrCategorySizes);
+
+    // Try to find existing entry. An ISSN and eISSN of two different journals
+    // is a collision (the row is dropped); further rows of the same journal
+    // (one per category) are merged below
+    const byIssn = issn ? journals[issn] : null;
+    const byEissn = eissn ? journals[eissn] : null;
+    const journal = byIssn || byEissn || null;
+    if (byIssn && byEissn && byIssn !== byEissn) {
+      report.issnCollisions.push({
+        source: `JCR ${jcrYear}`,
+        issn,
+        eissn,
+        kept: `${byIssn.name} / ${byEissn.name}`,
+        dropped: journalName
+      });
+      continue;
     }
 
     if (journal) {
-      // Merge JCR data into existing entry
-      if (!isNaN(ifValue)) {
+      jcrMatched++;
+      // Merge JCR data into existing entry (first IF, best quartile over its rows)
+      if (!isNaN(ifValue) && journal.if === null) {
         journal.if = ifValue;
       }
-      if (jcrQ) {
+      if (/^Q[1-4]$/.test(jcrQ) && (!journal.jcrQ || jcrQ < journal.jcrQ)) {
         journal.jcrQ = jcrQ;
       }
+      mergeJcrCategories(journal, jcrCats);
     } else {
       // Create new entry from JCR data
+      report.unmergedJcrRows.push({ journal: journalName, issn, eissn });
       const newJournal = {
         name: journalName,
         issn: issn,
@@ -255,17 +692,22 @@ function convert() {
         casCategory: null,
         casQ: null,
         casRank: null,
+        casSubs: [],
         isTop: false,
         isChinaSupport: false,
         isWarning: false,
         isMega: false,
         if: isNaN(ifValue) ? null : ifValue,
-        jcrQ: jcrQ || null
+        jcrQ: jcrQ || null,
+        jcrCats: [],
+        history: {},
+        aliases: []
       };
+      mergeJcrCategories(newJournal, jcrCats);
+      jcrNew++;
 
       if (issn) {
         journals[issn] = newJournal;
-        jcrNew++;
       }
       if (eissn && eissn !== issn) {
         journals[eissn] = newJournal;
@@ -276,6 +718,25 @@ function convert() {
   console.log(`JCR data: ${jcrMatched} matched, ${jcrNew} new entries`);
   console.log(`Total entries: ${Object.keys(journals).length}`);
 
+  // Attach history of the older years (they never add new journals); the
+  // latest year is not stored as history, it equals the current values
+  for (const { year, rows } of casByYear) {
+    if (year !== casYear) addCasHistory(journals, rows, year, report, excludedIssns);
+  }
+  for (const { year, rows } of jcrByYear) {
+    if (year !== jcrYear) addJcrHistory(journals, rows, year, report, excludedIssns);
+  }
+
+  // Exact abbreviation aliases from the NLM catalog (optional input)
+  const nlmFile = findNlmFile(args);
+  if (nlmFile) {
+    const nlmRecords = parseNlmJournals(fs.readFileSync(nlmFile, 'utf-8'));
+    const aliased = addNlmAliases(journals, nlmRecords);
+    console.log(`NLM catalog: ${nlmRecords.length} records, aliases added to ${aliased} journals`);
+  } else {
+    console.log('NLM catalog: not found, skipping abbreviation aliases');
+  }
+
   // Write output — deduplicate by using ISSN as canonical key
   const output = {};
   const seen = new Map(); // journalKey -> canonical ISSN key
@@ -297,17 +758,49 @@ function convert() {
     if (journal.casCategory) entry.casCategory = journal.casCategory;
     if (journal.casQ) entry.casQ = journal.casQ;
     if (journal.casRank) entry.casRank = journal.casRank;
+    if (journal.casSubs.length > 0) {
+      entry.casSubs = journal.casSubs.map(sub => {
+        const s = { name: sub.name };
+        if (sub.q) s.q = sub.q;
+        if (sub.rank) s.rank = sub.rank;
+        return s;
+      });
+    }
     if (journal.isTop) entry.isTop = true;
     if (journal.isChinaSupport) entry.isChinaSupport = true;
     if (journal.isWarning) entry.isWarning = true;
     if (journal.isMega) entry.isMega = true;
     if (journal.if) entry.if = journal.if;
     if (journal.jcrQ) entry.jcrQ = journal.jcrQ;
+    if (Object.keys(journal.history).length > 0) entry.history = journal.history;
+    if (journal.aliases.length > 0) entry.aliases = journal.aliases;
+    if (journal.jcrCats.length > 0) {
+      entry.jcrCats = journal.jcrCats.map(c => {
+        const cat = { cat: c.cat };
+        if (c.q) cat.q = c.q;
+        if (c.rank) cat.rank = c.rank;
+        if (c.pct !== null) cat.pct = c.pct;
+        return cat;
+      });
+    }
 
     output[key] = entry;
     seen.set(journalKey, entry);
   }
 
+  // Distinct journals whose names collide in the extension's name index
+  const byName = new Map();
+  for (const entry of seen.values()) {
+    const key = normalizeAlias(entry.name);
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push(entry);
+  }
+  for (const entries of byName.values()) {
+    if (entries.length > 1) {
+      report.duplicateNames.push(entries.map(e => ({ journal: e.name, issn: e.issn, eissn: e.eissn })));
+    }
+  }
+
   // Ensure output directory exists
   const outputDir = path.dirname(OUTPUT_JSON);
   if (!fs.existsSync(outputDir)) {
@@ -316,12 +809,30 @@ function convert() {
 
   fs.writeFileSync(OUTPUT_JSON, JSON.stringify(output, null, 0));
 
+  // Dataset versions, read by the extension for labels and the popup
+  const meta = {
+    casYear,
+    jcrYear,
+    casYears: casFiles.map(f => f.year),
+    jcrYears: jcrFiles.map(f => f.year),
+    categories: categoryCounts,
+    generatedAt: new Date().toISOString()
+  };
+  fs.writeFileSync(OUTPUT_META_JSON, JSON.stringify(meta, null, 2));
+
+  const reportPath = args.report ? path.resolve(args.report) : DEFAULT_REPORT_JSON;
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  console.log(`\nData-quality report written to: ${reportPath}`);
+  for (const key in report) {
+    console.log(`  ${key}: ${report[key].length}`);
+  }
+
   const stats = fs.statSync(OUTPUT_JSON);
   console.log(`\nOutput written to: ${OUTPUT_JSON}`);
   console.log(`File size: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
 
   // Generate some stats
-  let withIF = 0, withCasQ = 0, withTop = 0, withCnSupport = 0, withWarning = 0, withMega = 0;
+  let withIF = 0, withCasQ = 0, withCasSubs = 0, withTop = 0, withCnSupport = 0, withWarning = 0, withMega = 0;
   const uniqueJournals = new Set();
 
   for (const key in output) {
@@ -329,6 +840,7 @@ function convert() {
     uniqueJournals.add(j.name);
     if (j.if) withIF++;
     if (j.casQ) withCasQ++;
+    if (j.casSubs) withCasSubs++;
     if (j.isTop) withTop++;
     if (j.isChinaSupport) withCnSupport++;
     if (j.isWarning) withWarning++;
@@ -339,6 +851,7 @@ function convert() {
   console.log(`  Unique journals: ${uniqueJournals.size}`);
   console.log(`  With IF: ${withIF}`);
   console.log(`  With CAS Q: ${withCasQ}`);
+  console.log(`  With CAS subcategories: ${withCasSubs}`);
   console.log(`  Top journals: ${withTop}`);
   console.log(`  China Support: ${withCnSupport}`);
   console.log(`  Warning List: ${withWarning}`);
@@ -346,4 +859,4 @@ function convert() {
 }
 
 // Run
-convert();
+convert(parseArgs(process.argv.slice(2)));
@@ -0,0 +1,68 @@
+/**
+ * NiceMed - Tier Rule Tests
+ * Parsing and evaluation of extension/rules.js.
+ *
+ * Usage: node --test scripts/test-rules.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  parseCondition,
+  evaluateCondition,
+  parseRulesText,
+  formatRulesText,
+  compileRule,
+  evaluateTier
+} = require('../extension/rules.js');
+
+const TOP_JOURNAL = { name: 'Nature Medicine', if: 58.7, jcrQ: 'Q1', casQ: 1, casCategory: '医学', isTop: true };
+const WARNING_JOURNAL = { name: 'Warned Journal', if: 2.1, jcrQ: 'Q3', casQ: 4, isWarning: true };
+const NO_IF_JOURNAL = { name: 'No IF journal' };
+
+const tierOf = (text, journal) => {
+  const result = evaluateTier(parseRulesText(text).map(compileRule), journal);
+  return result && result.tier;
+};
+
+test('parses "->" and "→" rules, skipping comments and blank lines', () => {
+  const rules = parseRulesText('# comment\n\ncas == 1 or if ≥ 10 → A\ntop and jcr == 1 -> B');
+  assert.deepStrictEqual(rules, [
+    { tier: 'A', when: 'cas == 1 or if ≥ 10' },
+    { tier: 'B', when: 'top and jcr == 1' }
+  ]);
+  assert.strictEqual(formatRulesText(rules), 'cas == 1 or if ≥ 10 -> A\ntop and jcr == 1 -> B');
+});
+
+test('reports the line of an invalid rule', () => {
+  assert.throws(() => parseRulesText('top -> A\ncas == 1'), /第 2 行: 缺少/);
+  assert.throws(() => parseRulesText('foo == 1 -> A'), /第 1 行: 未知字段 "foo"/);
+  assert.throws(() => parseRulesText('(cas == 1 -> A'), /缺少右括号/);
+});
+
+test('first matching rule wins', () => {
+  const rules = 'warning -> 不计\ncas == 1 or if >= 10 -> A\ntop and jcr == 1 -> B';
+  assert.strictEqual(tierOf(rules, TOP_JOURNAL), 'A');
+  assert.strictEqual(tierOf(rules, WARNING_JOURNAL), '不计');
+  assert.strictEqual(tierOf(rules, NO_IF_JOURNAL), null);
+});
+
+test('contains compares text case-insensitively', () => {
+  assert.strictEqual(evaluateCondition(parseCondition('name contains "medicine"'), TOP_JOURNAL), true);
+  assert.strictEqual(evaluateCondition(parseCondition('category contains "医"'), TOP_JOURNAL), true);
+});
+
+test('comparisons with a missing value are unknown, also through "not"', () => {
+  assert.strictEqual(evaluateCondition(parseCondition('if < 3'), NO_IF_JOURNAL), null);
+  assert.strictEqual(evaluateCondition(parseCondition('not (if < 3)'), NO_IF_JOURNAL), null);
+  assert.strictEqual(tierOf('if < 3 -> C', NO_IF_JOURNAL), null);
+  assert.strictEqual(tierOf('not (if < 3) -> C', NO_IF_JOURNAL), null);
+  assert.strictEqual(tierOf('not (if < 3) -> C', TOP_JOURNAL), 'C');
+});
+
+test('"and"/"or" decide despite an unknown operand when the known one suffices', () => {
+  assert.strictEqual(evaluateCondition(parseCondition('if > 1 or name contains "IF"'), NO_IF_JOURNAL), true);
+  assert.strictEqual(evaluateCondition(parseCondition('if > 1 and top'), NO_IF_JOURNAL), false);
+  assert.strictEqual(evaluateCondition(parseCondition('if > 1 and not top'), NO_IF_JOURNAL), null);
+  assert.strictEqual(evaluateCondition(parseCondition('if > 1 or top'), NO_IF_JOURNAL), null);
+});